@@ -4,152 +4,493 @@
 
 import fs from 'fs/promises';
 import { createReadStream } from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import path from 'path';
 import csv from 'csv-parser';
 import zlib from 'zlib';
-import AdmZip from 'adm-zip';
-import { parsePrice, parseNumber } from './utils.js';
+import unzipper from 'unzipper';
+import { aggregate, createStatisticsAccumulator, createHostRankingAccumulator } from './aggregators.js';
+import { createListingFilter } from './filters.js';
+import { writeExport } from './exporters.js';
+import { createDataQualityValidator, dataQualityError } from './schema.js';
+import { createCalendarAccumulator, createReviewsAccumulator, createListingEnricher } from './companions.js';
+import { createHashStream, readCachedDatasets, writeCachedDatasets } from './cache.js';
 
-const AirBnBDataHandler = (filePath) => {
+/**
+ * Streams CSV text through the parser and hands each row object, keyed by header, to `onRow`.
+ * Quoted fields containing commas, quotes or newlines are handled per RFC 4180.
+ * @param {import('stream').Stream[]} streams - Source stream followed by any transforms (e.g. gunzip).
+ * @param {function(Object): void} onRow - Called for every parsed row.
+ * @returns {Promise<void>} - Resolves once the whole input has been parsed.
+ */
+const eachCsvRow = async (streams, onRow) => {
+  let rowError;
+  try {
+    await pipeline(
+      ...streams,
+      csv({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '').trim() }),
+      async (source) => {
+        for await (const row of source) {
+          try {
+            onRow(row);
+          } catch (error) {
+            rowError = error;
+            throw error;
+          }
+        }
+      }
+    );
+  } catch (error) {
+    // Aborting the pipeline can surface as a generic AbortError; report the row handler's own error.
+    throw rowError || error;
+  }
+};
+
+/**
+ * Parses a stream of CSV text into an array of row objects keyed by header.
+ * @param {...import('stream').Stream} streams - Source stream followed by any transforms (e.g. gunzip).
+ * @returns {Promise<Object[]>} - The parsed rows.
+ */
+const readCsv = async (...streams) => {
+  const rows = [];
+  await eachCsvRow(streams, (row) => rows.push(row));
+  return rows;
+};
+
+/**
+ * Lists the CSV file entries of a ZIP archive, skipping folders and macOS metadata.
+ * @param {string} zipPath - Path to the ZIP archive.
+ * @returns {Promise<Object[]>} - unzipper file entries whose path ends in `.csv`.
+ */
+export const listArchiveEntries = async (zipPath) => {
+  const directory = await unzipper.Open.file(zipPath);
+  return directory.files.filter(
+    (entry) =>
+      entry.type === 'File' &&
+      entry.path.toLowerCase().endsWith('.csv') &&
+      !entry.path.startsWith('__MACOSX/')
+  );
+};
+
+/**
+ * Picks the archive entries to load. Names match either the full entry path or its basename.
+ * Without explicit names, `listings.csv` is preferred, otherwise the first CSV in the archive.
+ * @param {Object[]} csvEntries - CSV entries of the archive.
+ * @param {string|string[]} [names] - Entry name(s) requested by the caller.
+ * @param {string} zipPath - Path to the archive, used in error messages.
+ * @returns {Object[]} - The selected entries, in the requested order.
+ */
+const selectEntries = (csvEntries, names, zipPath) => {
+  if (csvEntries.length === 0) {
+    throw new Error(`No CSV file found in archive ${zipPath}.`);
+  }
+  if (!names || names.length === 0) {
+    const listings = csvEntries.find((entry) => path.basename(entry.path) === 'listings.csv');
+    return [listings || csvEntries[0]];
+  }
+  const available = csvEntries.map((entry) => entry.path).join(', ');
+  return [].concat(names).map((name) => {
+    const entry =
+      csvEntries.find((candidate) => candidate.path === name) ||
+      csvEntries.find((candidate) => path.basename(candidate.path) === name);
+    if (!entry) {
+      throw new Error(`Entry "${name}" not found in archive ${zipPath}. Available CSV entries: ${available}.`);
+    }
+    return entry;
+  });
+};
+
+/**
+ * Resolves the raw source stream, decoding transforms and total byte size of an input file.
+ * @param {string} sourcePath - Path to a .csv, .csv.gz or .zip file.
+ * @param {string} [entryName] - For .zip files, the CSV entry to stream.
+ * @returns {Promise<{source: import('stream').Readable, transforms: import('stream').Transform[], totalBytes: number}>}
+ */
+const openSource = async (sourcePath, entryName) => {
+  const fileExtension = sourcePath.split('.').pop().toLowerCase();
+
+  if (fileExtension === 'csv' || fileExtension === 'gz') {
+    const { size } = await fs.stat(sourcePath);
+    return {
+      source: createReadStream(sourcePath),
+      transforms: fileExtension === 'gz' ? [zlib.createGunzip()] : [],
+      totalBytes: size,
+    };
+  }
+  if (fileExtension === 'zip') {
+    const [entry] = selectEntries(await listArchiveEntries(sourcePath), entryName, sourcePath);
+    return { source: entry.stream(), transforms: [], totalBytes: entry.uncompressedSize };
+  }
+  throw new Error('Unsupported file type. Please provide a .csv, .zip, or .gz file.');
+};
+
+/**
+ * Aggregates the reviews and calendar companion files per listing and returns the listing enricher.
+ * Each companion is read from the given path (for a .zip, its `reviews.csv` / `calendar.csv` entry),
+ * or else from an already loaded dataset of that name.
+ * @param {Object} options - Companion options.
+ * @param {string} [options.reviews] - Path to the reviews file.
+ * @param {string} [options.calendar] - Path to the calendar file.
+ * @param {string} [options.from] - First date of the window (`YYYY-MM-DD`).
+ * @param {string} [options.to] - Last date of the window (`YYYY-MM-DD`).
+ * @param {Object} priceOptions - Options passed to {@link module:Utils.parsePrice}.
+ * @param {Object<string, Object[]>} loadedDatasets - Datasets already loaded, keyed by file or entry name.
+ * @returns {Promise<function(Object): Object>} - The enricher, see {@link module:Companions.createListingEnricher}.
+ */
+const loadCompanions = async ({ reviews, calendar, from, to }, priceOptions, loadedDatasets) => {
+  const feed = async (sourcePath, name, accumulator) => {
+    if (sourcePath) {
+      const { source, transforms } = await openSource(sourcePath, `${name}.csv`);
+      await eachCsvRow([source, ...transforms], accumulator.add);
+      return accumulator.result();
+    }
+    const loaded = Object.entries(loadedDatasets).find(([key]) => path.basename(key) === `${name}.csv`);
+    if (!loaded) return undefined;
+    loaded[1].forEach(accumulator.add);
+    return accumulator.result();
+  };
+
+  const calendarData = await feed(calendar, 'calendar', createCalendarAccumulator({ from, to, priceOptions }));
+  const reviewsData = await feed(reviews, 'reviews', createReviewsAccumulator({ from, to }));
+  if (!calendarData && !reviewsData) {
+    throw new Error('No reviews or calendar data to join. Pass a reviews or calendar file, or load them from the archive.');
+  }
+  return createListingEnricher({ calendar: calendarData, reviews: reviewsData, priceOptions });
+};
+
+/**
+ * Parses every dataset of a source file: the file itself, or the selected entries of a .zip archive.
+ * @param {string} filePath - Path to a .csv, .csv.gz or .zip file.
+ * @param {string|string[]} [entries] - For .zip files, the CSV entry or entries to load.
+ * @param {Object} [options] - Parsing options.
+ * @param {boolean} [options.hash=false] - Hash the file while reading it. Archive entries are read
+ * without going through the whole file, so a .zip is never hashed here.
+ * @returns {Promise<{datasets: Object<string, Object[]>, hash: (string|undefined)}>} - Parsed rows by
+ * file or entry name, and the SHA-256 of the file when it was hashed.
+ */
+const parseDatasets = async (filePath, entries, { hash = false } = {}) => {
+  const fileExtension = filePath.split('.').pop().toLowerCase();
+
+  if (fileExtension === 'csv' || fileExtension === 'gz') {
+    const hasher = hash ? createHashStream() : null;
+    const rows = await readCsv(
+      createReadStream(filePath),
+      ...(hasher ? [hasher.stream] : []),
+      ...(fileExtension === 'gz' ? [zlib.createGunzip()] : [])
+    );
+    const name = fileExtension === 'gz' ? path.basename(filePath, '.gz') : path.basename(filePath);
+    return { datasets: { [name]: rows }, hash: hasher?.digest() };
+  }
+  if (fileExtension === 'zip') {
+    const loaded = {};
+    for (const entry of selectEntries(await listArchiveEntries(filePath), entries, filePath)) {
+      loaded[entry.path] = await readCsv(entry.stream());
+    }
+    return { datasets: loaded };
+  }
+  throw new Error('Unsupported file type. Please provide a .csv, .zip, or .gz file.');
+};
+
+/**
+ * Counts listings per `host_id`.
+ * @param {Object[]} listings - The listings.
+ * @returns {Map<string, number>} - Number of listings per host.
+ */
+const countListingsPerHost = (listings) =>
+  listings.reduce((counts, listing) => counts.set(listing.host_id, (counts.get(listing.host_id) || 0) + 1), new Map());
+
+/**
+ * Creates a handler for one Inside Airbnb file.
+ * @param {string} filePath - Path to a .csv, .csv.gz or .zip file.
+ * @param {Object} [options] - How prices are read, passed to {@link module:Utils.parsePrice}.
+ * @param {string} [options.locale] - Locale of the numbers, e.g. `de-DE` for `1.234,50`.
+ * @param {string} [options.currency] - Currency of every price, overriding the detected one
+ * (Inside Airbnb writes `$` whatever the local currency).
+ * @param {string} [options.reportingCurrency] - Convert all prices to this currency.
+ * @param {Object<string, number>} [options.rates] - Exchange rates used for the conversion.
+ * @returns {Object} - The handler.
+ */
+const AirBnBDataHandler = (filePath, { locale, currency, reportingCurrency, rates } = {}) => {
+  const priceOptions = { locale, currency, reportingCurrency, rates };
   let data = [];
+  let datasets = {};
   let filteredData = [];
   let statistics = {};
   let hostRanking = [];
+  let hostRankingOptions = {};
+  let criteria = {};
+  let dataQualityReport = null;
+  let cacheInfo = null;
 
   /**
    * Loads CSV data from different file types (.csv, .zip, .gz)
    * Supports method chaining by returning the instance itself.
+   * Every loaded file is also kept in `getDatasets()`, keyed by file or entry name;
+   * the first one becomes the main dataset returned by `getData()`.
+   * @param {Object} [options] - Loading options.
+   * @param {string|string[]} [options.entries] - For .zip files, the CSV entry or entries to load
+   * (e.g. `['listings.csv', 'reviews.csv']`).
+   * @param {Object} [options.schema] - Column rules the main dataset is checked against; defaults to
+   * {@link module:Schema.LISTINGS_SCHEMA}. The result is available through `getDataQualityReport()`.
+   * @param {'keep'|'drop'|'fail'} [options.onInvalid='keep'] - Keep or drop rows that break the schema,
+   * or throw (with the report attached as `error.report`) when any row or required column is bad, or
+   * when the file has no rows.
+   * @param {boolean|{dir: string}} [options.cache=false] - Reuse the parsed rows cached on disk by an
+   * earlier run, and cache them after parsing; the entry is dropped when the file changes. See
+   * {@link module:Cache.readCachedDatasets}. The cached rows keep their raw string values, and are
+   * validated again on every load.
    * @returns {Promise<AirBnBDataHandler>} - The instance for chaining.
    */
-  const loadData = async () => {
-    const tempData = [];
-
-    // Determine file extension
-    const fileExtension = filePath.split('.').pop().toLowerCase();
-
-    if (fileExtension === 'csv') {
-      await new Promise((resolve, reject) => {
-        createReadStream(filePath)
-          .pipe(csv())
-          .on('data', (row) => tempData.push(row))
-          .on('end', () => {
-            data = tempData;
-            resolve();
-          })
-          .on('error', (error) => reject(error));
-      });
-    } else if (fileExtension === 'gz') {
-      await new Promise((resolve, reject) => {
-        createReadStream(filePath)
-          .pipe(zlib.createGunzip())
-          .pipe(csv())
-          .on('data', (row) => tempData.push(row))
-          .on('end', () => {
-            data = tempData;
-            resolve();
-          })
-          .on('error', (error) => reject(error));
-      });
-    } else if (fileExtension === 'zip') {
-      const zip = new AdmZip(filePath);
-      const zipEntries = zip.getEntries();
-      for (const entry of zipEntries) {
-        if (entry.entryName.endsWith('.csv')) {
-          const csvContent = entry.getData().toString('utf8');
-          const rows = csvContent.split('\n');
-          rows.forEach((line) => {
-            const cols = line.split(',');
-            if (cols.length > 1) {
-              const rowObj = {};
-              cols.forEach((col, index) => {
-                rowObj[`col${index}`] = col;
-              });
-              tempData.push(rowObj);
-            }
-          });
+  const loadData = async (options = {}) => {
+    const policy = options.onInvalid || 'keep';
+    const validator = createDataQualityValidator({ schema: options.schema, policy });
+    const cacheOptions = options.cache ? { entries: options.entries, dir: options.cache.dir } : null;
+
+    const cached = cacheOptions && (await readCachedDatasets(filePath, cacheOptions));
+    if (cached) {
+      datasets = cached.datasets;
+      cacheInfo = { hit: true, key: cached.key };
+    } else {
+      const parsed = await parseDatasets(filePath, options.entries, { hash: Boolean(cacheOptions) });
+      datasets = parsed.datasets;
+      cacheInfo = null;
+      if (cacheOptions) {
+        try {
+          const { key } = await writeCachedDatasets(filePath, datasets, { ...cacheOptions, hash: parsed.hash });
+          cacheInfo = { hit: false, key };
+        } catch (error) {
+          process.emitWarning(`Could not cache ${filePath}: ${error.message}`);
         }
       }
-      data = tempData;
-    } else {
-      throw new Error('Unsupported file type. Please provide a .csv, .zip, or .gz file.');
     }
 
+    const [mainName, mainRows] = Object.entries(datasets)[0];
+    const validRows = mainRows.filter((row) => validator.check(row).length === 0);
+    dataQualityReport = validator.report();
+    if (policy === 'fail' && (dataQualityReport.invalidRows > 0 || dataQualityReport.missingColumns.length > 0)) {
+      throw dataQualityError(dataQualityReport);
+    }
+    if (policy === 'drop') {
+      datasets[mainName] = validRows;
+    }
+
+    data = datasets[mainName];
     return handler;
   };
 
-  const filterListings = (criteria) => {
-    filteredData = data.filter((listing) => {
-      const price = parsePrice(listing.price);
-      const rooms = parseNumber(listing.bedrooms, 1);
-      const reviewScore = parseNumber(listing.review_scores_rating);
-
-      return (!criteria.minPrice || price >= criteria.minPrice) &&
-             (!criteria.maxPrice || price <= criteria.maxPrice) &&
-             (!criteria.minRooms || rooms >= criteria.minRooms) &&
-             (!criteria.maxRooms || rooms <= criteria.maxRooms) &&
-             (!criteria.minReviewScore || reviewScore >= criteria.minReviewScore) &&
-             (!criteria.maxReviewScore || reviewScore <= criteria.maxReviewScore);
-    });
+  /**
+   * Keeps the listings matching the criteria. See {@link module:Filters.createListingFilter}
+   * for the criteria format; invalid criteria throw before any listing is filtered.
+   * @param {Object} [filterCriteria={}] - The filter criteria.
+   * @returns {AirBnBDataHandler} - The instance for chaining.
+   */
+  const filterListings = (filterCriteria = {}) => {
+    filteredData = data.filter(createListingFilter(filterCriteria, priceOptions));
+    criteria = filterCriteria;
     return handler;
   };
 
-  const computeStatistics = () => {
-    const totalListings = filteredData.length;
-    const pricePerRoom = filteredData.reduce((acc, listing) => {
-      const price = parsePrice(listing.price);
-      const rooms = parseNumber(listing.bedrooms, 1);
-      return acc + price / rooms;
-    }, 0) / totalListings;
-
-    statistics = {
-      totalListings,
-      averagePricePerRoom: pricePerRoom.toFixed(2),
-    };
+  /**
+   * Computes descriptive statistics (count, mean, median, percentiles, min/max, standard deviation
+   * and outliers) for price, price per bedroom, price per guest, review score and availability,
+   * optionally broken down by one or two listing columns.
+   * @param {Object} [options] - Statistics options.
+   * @param {string[]} [options.groupBy] - Columns to group by, e.g. `['neighbourhood_cleansed', 'room_type']`.
+   * @returns {AirBnBDataHandler} - The instance for chaining.
+   */
+  const computeStatistics = (options = {}) => {
+    statistics = aggregate(filteredData, createStatisticsAccumulator({ ...options, priceOptions }));
+    return handler;
+  };
+
+  /**
+   * Ranks the hosts of the filtered listings by portfolio metrics. Disagreements with
+   * `calculated_host_listings_count` are checked against all loaded listings, not only filtered ones.
+   * @param {Object} [options] - Ranking options (sortBy, order, tieBreakers, topN, commercialThreshold),
+   * see {@link module:Aggregators.createHostRankingAccumulator}.
+   * @returns {AirBnBDataHandler} - The instance for chaining.
+   */
+  const computeHostRanking = (options = {}) => {
+    hostRanking = aggregate(
+      filteredData,
+      createHostRankingAccumulator({ ...options, fileListingCounts: countListingsPerHost(data), priceOptions })
+    );
+    hostRankingOptions = options;
+    return handler;
+  };
+
+  /**
+   * Joins the reviews and calendar files to the loaded listings by `listing_id`, adding per-listing
+   * occupancy, estimated monthly revenue, review velocity and seasonal price curve columns
+   * (see {@link module:Companions.createListingEnricher}). The new columns can be used in
+   * `filterListings` criteria, statistics and host ranking.
+   * @param {Object} [options] - Companion options.
+   * @param {string} [options.reviews] - Path to `reviews.csv(.gz)`; defaults to a loaded `reviews.csv` entry.
+   * @param {string} [options.calendar] - Path to `calendar.csv(.gz)`; defaults to a loaded `calendar.csv` entry.
+   * @param {string} [options.from] - First date of the window (`YYYY-MM-DD`), inclusive.
+   * @param {string} [options.to] - Last date of the window (`YYYY-MM-DD`), inclusive. Without a window,
+   * review velocity covers the 365 days up to the latest review.
+   * @returns {Promise<AirBnBDataHandler>} - The instance for chaining.
+   */
+  const joinCompanions = async (options = {}) => {
+    const enrich = await loadCompanions(options, priceOptions, datasets);
+    data = data.map(enrich);
     return handler;
   };
 
-  const computeHostRanking = () => {
-    const hostMap = filteredData.reduce((acc, listing) => {
-      const hostId = listing.host_id;
-      if (!acc[hostId]) {
-        acc[hostId] = {
-          hostId,
-          hostName: listing.host_name,
-          listingsCount: 0,
-        };
+  /**
+   * Streaming alternative to `loadData().filterListings().computeStatistics().computeHostRanking()`.
+   * Rows are filtered and aggregated as they are parsed, so only the aggregates and an optional
+   * capped sample of matching listings are kept in memory. Statistics use bounded summaries (see
+   * {@link module:Aggregators.createMetricSummary}): past 1000 values per metric and group, percentiles
+   * and outliers are approximate (within 1%) while counts, means, min and max stay exact. The listing IDs
+   * seen by the duplicate check and the listing count of every host still grow with the file.
+   * `getData()` stays empty in this mode and `getFilteredData()` returns the sample.
+   * @param {Object} [options] - Streaming options.
+   * @param {Object} [options.criteria={}] - Filter criteria, as accepted by `filterListings`.
+   * @param {string[]} [options.groupBy] - Statistics group-by columns, as accepted by `computeStatistics`.
+   * @param {Object} [options.hostRanking] - Host ranking options, as accepted by `computeHostRanking`.
+   * @param {number} [options.sampleSize=0] - Maximum number of matching listings to keep.
+   * @param {string} [options.entry] - For .zip files, the CSV entry to stream.
+   * @param {Object} [options.companions] - Reviews and calendar to join before filtering, as accepted by
+   * `joinCompanions`; in this mode the companion files must be given as paths.
+   * @param {Object} [options.schema] - Column rules, as accepted by `loadData`.
+   * @param {'keep'|'drop'|'fail'} [options.onInvalid='keep'] - Invalid row policy, as accepted by `loadData`;
+   * `fail` stops at the first invalid row.
+   * @param {function(Object): void} [options.onProgress] - Receives `{ rowsProcessed, matchedListings,
+   * bytesProcessed, totalBytes }` every `progressInterval` rows and once at the end.
+   * @param {number} [options.progressInterval=10000] - Number of rows between progress reports.
+   * @returns {Promise<AirBnBDataHandler>} - The instance for chaining.
+   */
+  const processStream = async ({
+    criteria: filterCriteria = {},
+    groupBy,
+    hostRanking: rankingOptions = {},
+    sampleSize = 0,
+    entry,
+    companions,
+    schema,
+    onInvalid = 'keep',
+    onProgress = () => {},
+    progressInterval = 10000,
+  } = {}) => {
+    const validator = createDataQualityValidator({ schema, policy: onInvalid });
+    const enrich = companions ? await loadCompanions(companions, priceOptions, {}) : (listing) => listing;
+    const matches = createListingFilter(filterCriteria, priceOptions);
+    const statisticsAccumulator = createStatisticsAccumulator({ groupBy, priceOptions, bounded: true });
+    const fileListingCounts = new Map();
+    const hostRankingAccumulator = createHostRankingAccumulator({ ...rankingOptions, fileListingCounts, priceOptions });
+    const sample = [];
+    const { source, transforms, totalBytes } = await openSource(filePath, entry);
+    const progress = { rowsProcessed: 0, matchedListings: 0, bytesProcessed: 0, totalBytes };
+
+    const byteCounter = new Transform({
+      transform(chunk, encoding, callback) {
+        progress.bytesProcessed += chunk.length;
+        callback(null, chunk);
+      },
+    });
+
+    await eachCsvRow([source, byteCounter, ...transforms], (row) => {
+      if (progress.rowsProcessed > 0 && progress.rowsProcessed % progressInterval === 0) {
+        onProgress({ ...progress });
+      }
+      progress.rowsProcessed += 1;
+      const errors = validator.check(row);
+      if (onInvalid === 'fail' && (errors.length > 0 || progress.rowsProcessed === 1)) {
+        const report = validator.report();
+        if (report.invalidRows > 0 || report.missingColumns.length > 0) {
+          throw dataQualityError(report);
+        }
+      }
+      if (onInvalid === 'drop' && errors.length > 0) {
+        return;
       }
-      acc[hostId].listingsCount += 1;
-      return acc;
-    }, {});
+      const listing = enrich(row);
+      fileListingCounts.set(listing.host_id, (fileListingCounts.get(listing.host_id) || 0) + 1);
+      if (matches(listing)) {
+        progress.matchedListings += 1;
+        statisticsAccumulator.add(listing);
+        hostRankingAccumulator.add(listing);
+        if (sample.length < sampleSize) {
+          sample.push(listing);
+        }
+      }
+    });
+    onProgress({ ...progress });
+    if (onInvalid === 'fail' && progress.rowsProcessed === 0) {
+      throw dataQualityError(validator.report());
+    }
 
-    hostRanking = Object.values(hostMap).sort((a, b) => b.listingsCount - a.listingsCount);
+    data = [];
+    datasets = {};
+    filteredData = sample;
+    criteria = filterCriteria;
+    statistics = statisticsAccumulator.result();
+    hostRanking = hostRankingAccumulator.result();
+    hostRankingOptions = rankingOptions;
+    dataQualityReport = validator.report();
+    cacheInfo = null;
     return handler;
   };
 
-  const exportResults = async (outputFilePath) => {
-    const jsonData = JSON.stringify({
-      filteredListings: getFilteredData(),
-      statistics: getStatistics(),
-      hostRanking: getHostRanking(),
-    }, null, 2);
-    await fs.writeFile(outputFilePath, jsonData, 'utf8');
+  /**
+   * Exports the filtered listings, statistics and host ranking. The format is inferred from the
+   * file extension (`.json`, `.csv`, `.ndjson`, `.md`, `.html`, optionally followed by `.gz`)
+   * unless set explicitly. See {@link module:Exporters.writeExport} for the options.
+   * @param {string} outputFilePath - The output file path.
+   * @param {Object} [options] - Export options (format, gzip, columns, hostLimit).
+   * @returns {Promise<AirBnBDataHandler>} - The instance for chaining.
+   */
+  const exportResults = async (outputFilePath, options = {}) => {
+    await writeExport(outputFilePath, getResults(), options);
     return handler;
   };
 
+  /**
+   * The current results as exported by `exportResults`: metadata (source file, criteria, generation
+   * time, listing count, currency), filtered listings, statistics and host ranking.
+   * @returns {Object} - The results.
+   */
+  const getResults = () => ({
+    metadata: {
+      sourceFile: filePath,
+      criteria,
+      generatedAt: new Date().toISOString(),
+      totalListings: getStatistics().totalListings ?? getFilteredData().length,
+      currency: getStatistics().currency ?? null,
+    },
+    filteredListings: getFilteredData(),
+    statistics: getStatistics(),
+    hostRanking: getHostRanking(),
+    hostRankingOptions,
+  });
+
   const getData = () => data;
+  const getDatasets = () => datasets;
   const getFilteredData = () => filteredData;
   const getStatistics = () => statistics;
   const getHostRanking = () => hostRanking;
+  const getDataQualityReport = () => dataQualityReport;
+  const getCacheInfo = () => cacheInfo;
 
   const handler = {
     loadData,
     filterListings,
     computeStatistics,
     computeHostRanking,
+    joinCompanions,
+    processStream,
     exportResults,
     getData,
+    getDatasets,
     getFilteredData,
     getStatistics,
     getHostRanking,
+    getDataQualityReport,
+    getResults,
+    getCacheInfo,
   };
 
   return handler;
@@ -0,0 +1,202 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import AirBnBDataHandler from './AirBnBDataHandler.js';
+
+const LISTINGS = [
+  '\uFEFFid,name,host_id,host_name,price,room_type,bedrooms',
+  '1,"Loft, canal view",10,Ann,$100.00,Entire home/apt,1',
+  '2,"The ""Blue"" room",10,Ann,$60.00,Private room,1',
+  '3,"Two',
+  'lines",20,Bob,"$1,200.00",Entire home/apt,3',
+].join('\r\n');
+
+/**
+ * Builds a ZIP archive holding the given files uncompressed.
+ * @param {Object<string, string>} files - File contents by entry name.
+ * @returns {Buffer} - The archive.
+ */
+const zipArchive = (files) => {
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+  for (const [name, text] of Object.entries(files)) {
+    const [fileName, data] = [Buffer.from(name), Buffer.from(text)];
+    const crc = zlib.crc32(data);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(10, 4);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(10, 6);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+    parts.push(local, fileName, data);
+    directory.push(central, fileName);
+    offset += local.length + fileName.length + data.length;
+  }
+  const centralDirectory = Buffer.concat(directory);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(directory.length / 2, 8);
+  end.writeUInt16LE(directory.length / 2, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...parts, centralDirectory, end]);
+};
+
+describe('loadData', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'airbnb-handler-'));
+    await fs.writeFile(path.join(dir, 'listings.csv'), LISTINGS);
+    await fs.writeFile(path.join(dir, 'listings.csv.gz'), zlib.gzipSync(LISTINGS));
+    await fs.writeFile(path.join(dir, 'city.zip'), zipArchive({
+      'reviews.csv': 'listing_id,date\n1,2024-01-02\n',
+      'listings.csv': LISTINGS,
+      'notes.txt': 'not a dataset',
+    }));
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('parses quoted fields, embedded newlines and a byte order mark', async () => {
+    const handler = await AirBnBDataHandler(path.join(dir, 'listings.csv')).loadData();
+    const rows = handler.getData();
+    assert.equal(rows.length, 3);
+    assert.deepEqual(Object.keys(rows[0]), ['id', 'name', 'host_id', 'host_name', 'price', 'room_type', 'bedrooms']);
+    assert.equal(rows[0].name, 'Loft, canal view');
+    assert.equal(rows[1].name, 'The "Blue" room');
+    assert.equal(rows[2].name, 'Two\r\nlines');
+    assert.equal(rows[2].price, '$1,200.00');
+  });
+
+  it('reads gzipped files like plain ones', async () => {
+    const plain = await AirBnBDataHandler(path.join(dir, 'listings.csv')).loadData();
+    const gzipped = await AirBnBDataHandler(path.join(dir, 'listings.csv.gz')).loadData();
+    assert.deepEqual(gzipped.getData(), plain.getData());
+    assert.deepEqual(Object.keys(gzipped.getDatasets()), ['listings.csv']);
+  });
+
+  it('loads listings.csv from an archive by default and other entries on request', async () => {
+    const byDefault = await AirBnBDataHandler(path.join(dir, 'city.zip')).loadData();
+    assert.equal(byDefault.getData().length, 3);
+
+    const both = await AirBnBDataHandler(path.join(dir, 'city.zip')).loadData({ entries: ['listings.csv', 'reviews.csv'] });
+    assert.deepEqual(Object.keys(both.getDatasets()), ['listings.csv', 'reviews.csv']);
+    assert.deepEqual(both.getDatasets()['reviews.csv'], [{ listing_id: '1', date: '2024-01-02' }]);
+  });
+
+  it('names the available entries when one is missing', async () => {
+    await assert.rejects(
+      AirBnBDataHandler(path.join(dir, 'city.zip')).loadData({ entries: 'calendar.csv' }),
+      /Entry "calendar\.csv" not found.*Available CSV entries: reviews\.csv, listings\.csv/
+    );
+  });
+
+  it('rejects unsupported file types', async () => {
+    await assert.rejects(AirBnBDataHandler(path.join(dir, 'notes.txt')).loadData(), /Unsupported file type/);
+  });
+});
+
+describe('processStream', () => {
+  const ROOM_TYPES = ['Entire home/apt', 'Private room', 'Shared room'];
+  let dir;
+
+  /**
+   * Writes a listings file with deterministic pseudo-random prices, scores and hosts.
+   * @param {string} name - File name.
+   * @param {number} count - Number of listings.
+   * @returns {Promise<string>} - The file path.
+   */
+  const writeListings = async (name, count) => {
+    let seed = 42;
+    const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+    const rows = Array.from({ length: count }, (_, index) => [
+      index + 1,
+      `Listing ${index + 1}`,
+      Math.floor(random() * 40),
+      `Host ${index % 40}`,
+      `"$${(20 + random() * 480).toFixed(2)}"`,
+      ROOM_TYPES[index % 3],
+      1 + (index % 4),
+      random() < 0.1 ? '' : (3 + random() * 2).toFixed(2),
+      index % 7 === 0 ? 'Mitte' : 'Kreuzberg',
+    ].join(','));
+    const filePath = path.join(dir, name);
+    await fs.writeFile(filePath, ['id,name,host_id,host_name,price,room_type,bedrooms,review_scores_rating,neighbourhood_cleansed', ...rows].join('\n'));
+    return filePath;
+  };
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'airbnb-stream-'));
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('matches the in-memory statistics and host ranking', async () => {
+    const filePath = await writeListings('small.csv', 600);
+    const criteria = { price: { max: 400 }, room_type: ['Entire home/apt', 'Private room'] };
+    const options = { groupBy: ['neighbourhood_cleansed'] };
+    const ranking = { sortBy: 'listingsCount', topN: 10 };
+
+    const memory = (await AirBnBDataHandler(filePath).loadData())
+      .filterListings(criteria)
+      .computeStatistics(options)
+      .computeHostRanking(ranking);
+    const stream = await AirBnBDataHandler(filePath).processStream({ criteria, ...options, hostRanking: ranking });
+
+    assert.deepEqual(stream.getStatistics(), memory.getStatistics());
+    assert.deepEqual(stream.getHostRanking(), memory.getHostRanking());
+  });
+
+  it('keeps percentiles within 1% once past the exact limit', async () => {
+    const filePath = await writeListings('large.csv', 5000);
+    const memory = (await AirBnBDataHandler(filePath).loadData()).filterListings().computeStatistics();
+    const stream = await AirBnBDataHandler(filePath).processStream();
+    const [exact, approximate] = [memory.getStatistics().metrics.price, stream.getStatistics().metrics.price];
+
+    assert.equal(approximate.count, exact.count);
+    assert.equal(approximate.min, exact.min);
+    assert.equal(approximate.max, exact.max);
+    assert.ok(Math.abs(approximate.mean - exact.mean) < 0.01);
+    ['median', 'p10', 'p25', 'p75', 'p90'].forEach((stat) => {
+      assert.ok(Math.abs(approximate[stat] - exact[stat]) <= exact[stat] * 0.01, `${stat}: ${approximate[stat]} vs ${exact[stat]}`);
+    });
+  });
+
+  it('keeps a capped sample and reports progress', async () => {
+    const filePath = await writeListings('progress.csv', 250);
+    const reports = [];
+    const handler = await AirBnBDataHandler(filePath).processStream({
+      sampleSize: 5,
+      progressInterval: 100,
+      onProgress: (progress) => reports.push(progress),
+    });
+
+    assert.equal(handler.getFilteredData().length, 5);
+    assert.deepEqual(reports.map((report) => report.rowsProcessed), [100, 200, 250]);
+    assert.equal(reports.at(-1).bytesProcessed, reports.at(-1).totalBytes);
+  });
+
+  it('fails a file without rows under the fail policy', async () => {
+    const filePath = path.join(dir, 'header-only.csv');
+    await fs.writeFile(filePath, 'id,name,host_id,host_name,price,room_type,bedrooms\n');
+    await assert.rejects(AirBnBDataHandler(filePath).processStream({ onInvalid: 'fail' }), (error) => {
+      assert.equal(error.report.totalRows, 0);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,476 @@
+/**
+ * @module Aggregators
+ */
+
+import { parsePrice, parseNumber, parseBoolean, parseCurrency } from './utils.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Value of the given percentile, interpolating linearly between the closest ranks.
+ * @memberof module:Aggregators
+ * @param {number[]} sorted - Values sorted in ascending order.
+ * @param {number} p - Percentile between 0 and 100.
+ * @returns {number} - The percentile value.
+ */
+export const percentile = (sorted, p) => {
+  const rank = ((sorted.length - 1) * p) / 100;
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+/**
+ * Descriptive statistics of a list of numbers. Outliers are values more than 1.5 interquartile
+ * ranges below the first or above the third quartile. Every field except `count` is null
+ * when there are no values.
+ * @memberof module:Aggregators
+ * @param {number[]} values - The values.
+ * @returns {Object} - count, mean, median, min, max, stdDev, p10, p25, p75, p90 and outliers.
+ */
+export const describe = (values) => {
+  const count = values.length;
+  if (count === 0) {
+    return {
+      count, mean: null, median: null, min: null, max: null, stdDev: null,
+      p10: null, p25: null, p75: null, p90: null, outliers: null,
+    };
+  }
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = sorted.reduce((acc, value) => acc + value, 0) / count;
+  const variance = sorted.reduce((acc, value) => acc + (value - mean) ** 2, 0) / count;
+  const p25 = percentile(sorted, 25);
+  const p75 = percentile(sorted, 75);
+  const fence = 1.5 * (p75 - p25);
+
+  return {
+    count,
+    mean: round(mean),
+    median: round(percentile(sorted, 50)),
+    min: round(sorted[0]),
+    max: round(sorted[count - 1]),
+    stdDev: round(Math.sqrt(variance)),
+    p10: round(percentile(sorted, 10)),
+    p25: round(p25),
+    p75: round(p75),
+    p90: round(percentile(sorted, 90)),
+    outliers: sorted.filter((value) => value < p25 - fence || value > p75 + fence).length,
+  };
+};
+
+/**
+ * Creates a summary of one metric that keeps every value, for {@link module:Aggregators.describe}.
+ * @returns {{add: function(number): void, result: function(): Object}} - The summary.
+ */
+const createExactSummary = () => {
+  const values = [];
+  return { add: (value) => values.push(value), result: () => describe(values) };
+};
+
+/**
+ * Creates a summary of one metric in bounded memory, for streaming. The first `exactLimit` values are
+ * kept and described exactly; past that they move into a log-scale histogram whose buckets are
+ * `relativeAccuracy` wide, so memory depends on the range of the values and not on their number.
+ * Count, mean, standard deviation, min and max stay exact (running sums); percentiles and outliers
+ * are then within `relativeAccuracy` of the exact values.
+ * @memberof module:Aggregators
+ * @param {Object} [options] - Summary options.
+ * @param {number} [options.exactLimit=1000] - Number of values described exactly.
+ * @param {number} [options.relativeAccuracy=0.01] - Relative error of the histogram percentiles.
+ * @returns {{add: function(number): void, result: function(): Object}} - The summary; `result` has the
+ * shape of {@link module:Aggregators.describe}.
+ */
+export const createMetricSummary = ({ exactLimit = 1000, relativeAccuracy = 0.01 } = {}) => {
+  const gamma = (1 + relativeAccuracy) / (1 - relativeAccuracy);
+  const logGamma = Math.log(gamma);
+  let values = [];
+  const positive = new Map();
+  const negative = new Map();
+  let zeros = 0;
+  let count = 0;
+  let mean = 0;
+  let squares = 0;
+  let min = Infinity;
+  let max = -Infinity;
+
+  const bucket = (value) => {
+    const magnitude = Math.abs(value);
+    if (magnitude < 1e-9) {
+      zeros += 1;
+      return;
+    }
+    const buckets = value > 0 ? positive : negative;
+    const index = Math.ceil(Math.log(magnitude) / logGamma);
+    buckets.set(index, (buckets.get(index) || 0) + 1);
+  };
+
+  const add = (value) => {
+    count += 1;
+    const delta = value - mean;
+    mean += delta / count;
+    squares += delta * (value - mean);
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+    if (values) {
+      values.push(value);
+      if (values.length > exactLimit) {
+        values.forEach(bucket);
+        values = null;
+      }
+    } else {
+      bucket(value);
+    }
+  };
+
+  const result = () => {
+    if (values) return describe(values);
+    const middle = (index) => (2 * gamma ** index) / (gamma + 1);
+    const ordered = [
+      ...[...negative.entries()].sort(([a], [b]) => b - a).map(([index, n]) => [-middle(index), n]),
+      ...(zeros > 0 ? [[0, zeros]] : []),
+      ...[...positive.entries()].sort(([a], [b]) => a - b).map(([index, n]) => [middle(index), n]),
+    ].map(([value, n]) => [Math.min(max, Math.max(min, value)), n]);
+    const valueAt = (rank) => {
+      let seen = 0;
+      const found = ordered.find(([, n]) => {
+        seen += n;
+        return seen > rank;
+      });
+      return found[0];
+    };
+    const quantile = (p) => {
+      const rank = ((count - 1) * p) / 100;
+      const lower = valueAt(Math.floor(rank));
+      return lower + (valueAt(Math.ceil(rank)) - lower) * (rank - Math.floor(rank));
+    };
+    const p25 = quantile(25);
+    const p75 = quantile(75);
+    const fence = 1.5 * (p75 - p25);
+
+    return {
+      count,
+      mean: round(mean),
+      median: round(quantile(50)),
+      min: round(min),
+      max: round(max),
+      stdDev: round(Math.sqrt(squares / count)),
+      p10: round(quantile(10)),
+      p25: round(p25),
+      p75: round(p75),
+      p90: round(quantile(90)),
+      outliers: ordered
+        .filter(([value]) => value < p25 - fence || value > p75 + fence)
+        .reduce((acc, [, n]) => acc + n, 0),
+    };
+  };
+
+  return { add, result };
+};
+
+/**
+ * Numeric metrics described by the statistics, and how to read each one from a listing.
+ * Readers receive the listing and the price options (locale, currency, reportingCurrency, rates).
+ * A metric returning NaN or Infinity for a listing (e.g. blank review score) skips that listing; the occupancy,
+ * revenue and review velocity metrics only have values once reviews or calendar data have been joined.
+ * @memberof module:Aggregators
+ */
+export const METRICS = {
+  price: (listing, priceOptions) => parsePrice(listing.price, priceOptions),
+  // A blank bedroom count is read as one bedroom; studios listed with 0 bedrooms have no per-bedroom price.
+  pricePerBedroom: (listing, priceOptions) => parsePrice(listing.price, priceOptions) / parseNumber(listing.bedrooms, 1),
+  pricePerGuest: (listing, priceOptions) => {
+    const guests = parseNumber(listing.accommodates, NaN);
+    return guests > 0 ? parsePrice(listing.price, priceOptions) / guests : NaN;
+  },
+  reviewScore: (listing) => parseNumber(listing.review_scores_rating, NaN),
+  availability: (listing) => parseNumber(listing.availability_365, NaN),
+  occupancyRate: (listing) => parseNumber(listing.occupancy_rate, NaN),
+  estimatedMonthlyRevenue: (listing) => parseNumber(listing.estimated_monthly_revenue, NaN),
+  reviewVelocity: (listing) => parseNumber(listing.review_velocity, NaN),
+};
+
+/**
+ * Metrics expressed in money, which state their currency.
+ * @memberof module:Aggregators
+ */
+export const MONEY_METRICS = ['price', 'pricePerBedroom', 'pricePerGuest', 'estimatedMonthlyRevenue'];
+
+/**
+ * Currency of aggregated prices: the reporting currency when prices are converted, otherwise the
+ * single currency seen, `'mixed'` when prices come in several currencies, or null when unknown.
+ * @param {Set<string>} seen - Currencies detected in the prices.
+ * @param {Object} priceOptions - The price options.
+ * @returns {string|null} - The currency code.
+ */
+const currencyOf = (seen, priceOptions) => {
+  if (priceOptions.reportingCurrency) return priceOptions.reportingCurrency;
+  if (seen.size > 1) return 'mixed';
+  return seen.size === 1 ? [...seen][0] : null;
+};
+
+const NO_GROUP = '(none)';
+
+/**
+ * Creates an accumulator that computes listing statistics one listing at a time.
+ * Alongside the overall figures it can break the statistics down by up to two columns;
+ * the second column is nested inside each group of the first.
+ * @memberof module:Aggregators
+ * @param {Object} [options] - Statistics options.
+ * @param {string[]} [options.groupBy=[]] - Listing columns to group by, e.g. `['neighbourhood_cleansed', 'room_type']`.
+ * @param {Object} [options.priceOptions={}] - Options passed to {@link module:Utils.parsePrice}; every
+ * money metric and the statistics themselves state the resulting `currency`.
+ * @param {boolean} [options.bounded=false] - Keep each metric in bounded memory with
+ * {@link module:Aggregators.createMetricSummary} instead of keeping every value; percentiles become
+ * approximate past 1000 values per metric and group.
+ * @returns {{add: function(Object): void, result: function(): Object}} - The accumulator.
+ */
+export const createStatisticsAccumulator = ({ groupBy = [], priceOptions = {}, bounded = false } = {}) => {
+  if (groupBy.length > 2) {
+    throw new Error('Statistics can be grouped by at most two columns.');
+  }
+  const [groupKey, ...nestedGroupBy] = groupBy;
+  const summaries = Object.fromEntries(
+    Object.keys(METRICS).map((metric) => [metric, bounded ? createMetricSummary() : createExactSummary()])
+  );
+  const groups = new Map();
+  const currencies = new Set();
+  let totalListings = 0;
+
+  const add = (listing) => {
+    totalListings += 1;
+    const { currency } = parseCurrency(listing.price, priceOptions);
+    if (currency) currencies.add(currency);
+    Object.entries(METRICS).forEach(([metric, read]) => {
+      const value = read(listing, priceOptions);
+      if (Number.isFinite(value)) {
+        summaries[metric].add(value);
+      }
+    });
+    if (groupKey) {
+      const group = String(listing[groupKey] ?? '').trim() || NO_GROUP;
+      if (!groups.has(group)) {
+        groups.set(group, createStatisticsAccumulator({ groupBy: nestedGroupBy, priceOptions, bounded }));
+      }
+      groups.get(group).add(listing);
+    }
+  };
+
+  const result = () => {
+    const currency = currencyOf(currencies, priceOptions);
+    const metrics = Object.fromEntries(
+      Object.entries(summaries).map(([metric, summary]) => [
+        metric,
+        MONEY_METRICS.includes(metric) ? { ...summary.result(), currency } : summary.result(),
+      ])
+    );
+    const statistics = {
+      totalListings,
+      currency,
+      averagePricePerRoom: metrics.pricePerBedroom.mean === null ? null : metrics.pricePerBedroom.mean.toFixed(2),
+      metrics,
+    };
+    if (currency === 'mixed') {
+      statistics.currencies = [...currencies].sort();
+    }
+    if (groupKey) {
+      statistics.groupBy = groupBy;
+      statistics.groups = Object.fromEntries(
+        [...groups.entries()]
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([group, accumulator]) => [group, accumulator.result()])
+      );
+    }
+    return statistics;
+  };
+
+  return { add, result };
+};
+
+const ENTIRE_HOME = 'entire home/apt';
+
+/**
+ * Per-host metrics the ranking can be sorted by.
+ * @memberof module:Aggregators
+ */
+export const HOST_RANKING_METRICS = [
+  'listingsCount',
+  'totalNightlyRevenue',
+  'averagePrice',
+  'averageReviewScore',
+  'entireHomeListings',
+  'entireHomeShare',
+  'neighbourhoodsCount',
+  'totalEstimatedMonthlyRevenue',
+  'averageOccupancyRate',
+];
+
+/**
+ * Builds a comparator over host metrics. Missing (null) values always sort last.
+ * @param {string[]} keys - Metrics to compare, in order of precedence.
+ * @param {'asc'|'desc'} order - Sort direction.
+ * @returns {function(Object, Object): number} - The comparator.
+ */
+const compareHosts = (keys, order) => (a, b) => {
+  for (const key of keys) {
+    const left = a[key];
+    const right = b[key];
+    if (left === right) continue;
+    if (left === null) return 1;
+    if (right === null) return -1;
+    const diff = typeof left === 'string' ? left.localeCompare(right) : left - right;
+    if (diff !== 0) return order === 'asc' ? diff : -diff;
+  }
+  return 0;
+};
+
+/**
+ * Creates an accumulator that builds a portfolio per host (listings, nightly revenue potential,
+ * average price and review score, entire-home share, neighbourhoods, superhost status, and the
+ * estimated monthly revenue and occupancy when reviews or calendar data are joined) and ranks hosts.
+ *
+ * Hosts are flagged as likely commercial operators when they have more than `commercialThreshold`
+ * entire-home listings, or when their `calculated_host_listings_count` disagrees with the number of
+ * listings counted in the file (`fileListingCounts`, or the ranked listings when not given).
+ * @memberof module:Aggregators
+ * @param {Object} [options] - Ranking options.
+ * @param {string} [options.sortBy='listingsCount'] - Metric to rank by, one of {@link module:Aggregators.HOST_RANKING_METRICS}.
+ * @param {'asc'|'desc'} [options.order='desc'] - Sort direction.
+ * @param {string[]} [options.tieBreakers=['listingsCount', 'totalNightlyRevenue']] - Metrics used to break ties,
+ * applied in the same direction; remaining ties keep the order hosts were first seen in.
+ * @param {number} [options.topN] - Keep only the first N hosts; a positive integer.
+ * @param {number} [options.commercialThreshold=2] - Entire-home listings above which a host is flagged;
+ * a non-negative integer.
+ * @param {Map<string, number>} [options.fileListingCounts] - Listings per host in the whole file.
+ * @param {Object} [options.priceOptions={}] - Options passed to {@link module:Utils.parsePrice}.
+ * @returns {{add: function(Object): void, result: function(): Object[]}} - The accumulator.
+ */
+export const createHostRankingAccumulator = ({
+  sortBy = 'listingsCount',
+  order = 'desc',
+  tieBreakers = ['listingsCount', 'totalNightlyRevenue'],
+  topN,
+  commercialThreshold = 2,
+  fileListingCounts,
+  priceOptions = {},
+} = {}) => {
+  const unknownMetric = [sortBy, ...tieBreakers].find((metric) => !HOST_RANKING_METRICS.includes(metric));
+  if (unknownMetric) {
+    throw new Error(`Unknown host ranking metric "${unknownMetric}". Use one of: ${HOST_RANKING_METRICS.join(', ')}.`);
+  }
+  if (order !== 'asc' && order !== 'desc') {
+    throw new Error(`Unknown sort order "${order}". Use "asc" or "desc".`);
+  }
+  if (topN !== undefined && (!Number.isInteger(topN) || topN < 1)) {
+    throw new Error(`Host ranking "topN" expects a positive integer, got ${topN}.`);
+  }
+  if (!Number.isInteger(commercialThreshold) || commercialThreshold < 0) {
+    throw new Error(`Host ranking "commercialThreshold" expects a non-negative integer, got ${commercialThreshold}.`);
+  }
+  const hostMap = new Map();
+
+  const add = (listing) => {
+    const hostId = listing.host_id;
+    if (!hostMap.has(hostId)) {
+      hostMap.set(hostId, {
+        hostId,
+        hostName: listing.host_name,
+        listingsCount: 0,
+        priceSum: 0,
+        reviewScoreSum: 0,
+        reviewScoreCount: 0,
+        entireHomeListings: 0,
+        neighbourhoods: new Set(),
+        isSuperhost: false,
+        declaredListingsCount: null,
+        currencies: new Set(),
+        estimatedRevenueSum: 0,
+        estimatedRevenueCount: 0,
+        occupancyRateSum: 0,
+        occupancyRateCount: 0,
+      });
+    }
+    const host = hostMap.get(hostId);
+    const reviewScore = parseNumber(listing.review_scores_rating, NaN);
+    const neighbourhood = listing.neighbourhood_cleansed || listing.neighbourhood;
+    const declared = parseNumber(listing.calculated_host_listings_count, NaN);
+
+    host.listingsCount += 1;
+    host.priceSum += parsePrice(listing.price, priceOptions);
+    const { currency } = parseCurrency(listing.price, priceOptions);
+    if (currency) host.currencies.add(currency);
+    const estimatedRevenue = parseNumber(listing.estimated_monthly_revenue, NaN);
+    const occupancyRate = parseNumber(listing.occupancy_rate, NaN);
+    if (Number.isFinite(estimatedRevenue)) {
+      host.estimatedRevenueSum += estimatedRevenue;
+      host.estimatedRevenueCount += 1;
+    }
+    if (Number.isFinite(occupancyRate)) {
+      host.occupancyRateSum += occupancyRate;
+      host.occupancyRateCount += 1;
+    }
+    if (Number.isFinite(reviewScore)) {
+      host.reviewScoreSum += reviewScore;
+      host.reviewScoreCount += 1;
+    }
+    if (String(listing.room_type || '').toLowerCase() === ENTIRE_HOME) host.entireHomeListings += 1;
+    if (neighbourhood) host.neighbourhoods.add(neighbourhood);
+    if (parseBoolean(listing.host_is_superhost)) host.isSuperhost = true;
+    if (Number.isFinite(declared)) host.declaredListingsCount = Math.max(host.declaredListingsCount ?? 0, declared);
+  };
+
+  const toPortfolio = ({
+    priceSum,
+    reviewScoreSum,
+    reviewScoreCount,
+    neighbourhoods,
+    currencies,
+    estimatedRevenueSum,
+    estimatedRevenueCount,
+    occupancyRateSum,
+    occupancyRateCount,
+    ...host
+  }) => {
+    const fileCount = fileListingCounts ? fileListingCounts.get(host.hostId) ?? 0 : host.listingsCount;
+    const flags = [];
+    if (host.entireHomeListings > commercialThreshold) flags.push('multipleEntireHomes');
+    if (host.declaredListingsCount !== null && host.declaredListingsCount !== fileCount) flags.push('listingsCountMismatch');
+
+    return {
+      ...host,
+      currency: currencyOf(currencies, priceOptions),
+      totalNightlyRevenue: round(priceSum),
+      averagePrice: round(priceSum / host.listingsCount),
+      averageReviewScore: reviewScoreCount ? round(reviewScoreSum / reviewScoreCount) : null,
+      entireHomeShare: round(host.entireHomeListings / host.listingsCount),
+      neighbourhoods: [...neighbourhoods].sort(),
+      neighbourhoodsCount: neighbourhoods.size,
+      totalEstimatedMonthlyRevenue: estimatedRevenueCount ? round(estimatedRevenueSum) : null,
+      averageOccupancyRate: occupancyRateCount ? round(occupancyRateSum / occupancyRateCount) : null,
+      fileListingsCount: fileCount,
+      isLikelyCommercial: flags.length > 0,
+      flags,
+    };
+  };
+
+  const result = () => {
+    const ranking = [...hostMap.values()]
+      .map(toPortfolio)
+      .sort(compareHosts([sortBy, ...tieBreakers.filter((metric) => metric !== sortBy)], order))
+      .map((host, index) => ({ rank: index + 1, ...host }));
+    return topN === undefined ? ranking : ranking.slice(0, topN);
+  };
+
+  return { add, result };
+};
+
+/**
+ * Feeds every listing into an accumulator and returns its result.
+ * @memberof module:Aggregators
+ * @param {Object[]} listings - The listings to aggregate.
+ * @param {{add: function(Object): void, result: function(): *}} accumulator - The accumulator to feed.
+ * @returns {*} - The accumulator's result.
+ */
+export const aggregate = (listings, accumulator) => {
+  listings.forEach(accumulator.add);
+  return accumulator.result();
+};
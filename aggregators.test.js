@@ -0,0 +1,131 @@
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { aggregate, createHostRankingAccumulator, createMetricSummary, createStatisticsAccumulator, describe as describeValues } from './aggregators.js';
+
+const listing = (price, fields = {}) => ({ price: `$${price}.00`, bedrooms: '1', accommodates: '2', ...fields });
+
+describe('describe', () => {
+  it('describes values with interpolated percentiles and outliers', () => {
+    const summary = describeValues([1, 2, 3, 4, 100]);
+    assert.deepEqual(summary, {
+      count: 5, mean: 22, median: 3, min: 1, max: 100, stdDev: 39.01,
+      p10: 1.4, p25: 2, p75: 4, p90: 61.6, outliers: 1,
+    });
+  });
+
+  it('returns nulls for no values', () => {
+    assert.deepEqual(describeValues([]), {
+      count: 0, mean: null, median: null, min: null, max: null, stdDev: null,
+      p10: null, p25: null, p75: null, p90: null, outliers: null,
+    });
+  });
+});
+
+describe('createMetricSummary', () => {
+  it('is exact up to the limit', () => {
+    const summary = createMetricSummary({ exactLimit: 10 });
+    [5, 1, 4, 2, 3].forEach(summary.add);
+    assert.deepEqual(summary.result(), describeValues([1, 2, 3, 4, 5]));
+  });
+
+  it('keeps percentiles within the relative accuracy past the limit', () => {
+    const values = Array.from({ length: 20000 }, (_, index) => 10 + ((index * 7919) % 1000) / 3);
+    const summary = createMetricSummary({ exactLimit: 100 });
+    values.forEach(summary.add);
+    const [approximate, exact] = [summary.result(), describeValues(values)];
+    assert.equal(approximate.count, exact.count);
+    assert.equal(approximate.min, exact.min);
+    assert.equal(approximate.max, exact.max);
+    assert.equal(approximate.mean, exact.mean);
+    assert.equal(approximate.stdDev, exact.stdDev);
+    ['median', 'p10', 'p25', 'p75', 'p90'].forEach((stat) => {
+      assert.ok(Math.abs(approximate[stat] - exact[stat]) <= exact[stat] * 0.01, `${stat}: ${approximate[stat]} vs ${exact[stat]}`);
+    });
+  });
+});
+
+describe('createStatisticsAccumulator', () => {
+  it('computes metrics, skipping values that cannot be read', () => {
+    const stats = aggregate([
+      listing(100, { bedrooms: '2', review_scores_rating: '4.5' }),
+      listing(50, { review_scores_rating: '' }),
+      listing(300, { accommodates: '' }),
+    ], createStatisticsAccumulator());
+    assert.equal(stats.totalListings, 3);
+    assert.equal(stats.currency, 'USD');
+    assert.equal(stats.metrics.price.median, 100);
+    assert.deepEqual([stats.metrics.pricePerBedroom.min, stats.metrics.pricePerBedroom.max], [50, 300]);
+    assert.equal(stats.metrics.pricePerGuest.count, 2);
+    assert.equal(stats.metrics.reviewScore.count, 1);
+    assert.equal(stats.averagePricePerRoom, '133.33');
+  });
+
+  it('has no average price per room when every listing has 0 bedrooms', () => {
+    const stats = aggregate([listing(100, { bedrooms: '0' }), listing(80, { bedrooms: '0' })], createStatisticsAccumulator());
+    assert.equal(stats.metrics.pricePerBedroom.count, 0);
+    assert.equal(stats.averagePricePerRoom, null);
+  });
+
+  it('reads a blank bedroom count as one bedroom', () => {
+    const stats = aggregate([listing(90, { bedrooms: '' })], createStatisticsAccumulator());
+    assert.equal(stats.averagePricePerRoom, '90.00');
+  });
+
+  it('groups by up to two nested columns', () => {
+    const stats = aggregate([
+      listing(100, { neighbourhood_cleansed: 'Mitte', room_type: 'Private room' }),
+      listing(200, { neighbourhood_cleansed: 'Mitte', room_type: 'Entire home/apt' }),
+      listing(300, { neighbourhood_cleansed: '', room_type: 'Private room' }),
+    ], createStatisticsAccumulator({ groupBy: ['neighbourhood_cleansed', 'room_type'] }));
+    assert.deepEqual(Object.keys(stats.groups), ['(none)', 'Mitte']);
+    assert.equal(stats.groups.Mitte.totalListings, 2);
+    assert.equal(stats.groups.Mitte.groups['Entire home/apt'].metrics.price.mean, 200);
+    assert.throws(() => createStatisticsAccumulator({ groupBy: ['a', 'b', 'c'] }), /at most two columns/);
+  });
+
+  it('states mixed currencies', () => {
+    const stats = aggregate([{ price: '€100' }, { price: '$100' }], createStatisticsAccumulator());
+    assert.equal(stats.currency, 'mixed');
+    assert.deepEqual(stats.currencies, ['EUR', 'USD']);
+  });
+});
+
+describe('createHostRankingAccumulator', () => {
+  const LISTINGS = [
+    { host_id: '1', host_name: 'Ann', price: '$100', room_type: 'Entire home/apt', neighbourhood_cleansed: 'Mitte', review_scores_rating: '4', host_is_superhost: 't', calculated_host_listings_count: '3' },
+    { host_id: '1', host_name: 'Ann', price: '$100', room_type: 'Entire home/apt', neighbourhood_cleansed: 'Pankow', review_scores_rating: '5', calculated_host_listings_count: '3' },
+    { host_id: '1', host_name: 'Ann', price: '$100', room_type: 'Entire home/apt', neighbourhood_cleansed: 'Mitte', review_scores_rating: '', calculated_host_listings_count: '3' },
+    { host_id: '2', host_name: 'Bob', price: '$500', room_type: 'Private room', neighbourhood_cleansed: 'Mitte', review_scores_rating: '3', calculated_host_listings_count: '1' },
+    { host_id: '3', host_name: 'Cy', price: '$50', room_type: 'Private room', neighbourhood_cleansed: 'Mitte', review_scores_rating: '3', calculated_host_listings_count: '4' },
+  ];
+
+  it('builds portfolios and ranks hosts', () => {
+    const [ann, bob, cy] = aggregate(LISTINGS, createHostRankingAccumulator());
+    assert.deepEqual(
+      { rank: ann.rank, listingsCount: ann.listingsCount, totalNightlyRevenue: ann.totalNightlyRevenue, averageReviewScore: ann.averageReviewScore },
+      { rank: 1, listingsCount: 3, totalNightlyRevenue: 300, averageReviewScore: 4.5 }
+    );
+    assert.deepEqual(ann.neighbourhoods, ['Mitte', 'Pankow']);
+    assert.equal(ann.entireHomeShare, 1);
+    assert.equal(ann.isSuperhost, true);
+    assert.deepEqual([bob.hostName, cy.hostName], ['Bob', 'Cy']);
+  });
+
+  it('flags likely commercial hosts', () => {
+    const ranking = aggregate(LISTINGS, createHostRankingAccumulator());
+    const flags = Object.fromEntries(ranking.map((host) => [host.hostName, host.flags]));
+    assert.deepEqual(flags, { Ann: ['multipleEntireHomes'], Bob: [], Cy: ['listingsCountMismatch'] });
+  });
+
+  it('sorts by the chosen metric and keeps the top hosts', () => {
+    const ranking = aggregate(LISTINGS, createHostRankingAccumulator({ sortBy: 'averagePrice', order: 'asc', topN: 2 }));
+    assert.deepEqual(ranking.map((host) => host.hostName), ['Cy', 'Ann']);
+  });
+
+  it('rejects invalid options', () => {
+    assert.throws(() => createHostRankingAccumulator({ sortBy: 'charm' }), /Unknown host ranking metric "charm"/);
+    assert.throws(() => createHostRankingAccumulator({ order: 'up' }), /Unknown sort order/);
+    assert.throws(() => createHostRankingAccumulator({ topN: 0 }), /"topN" expects a positive integer/);
+    assert.throws(() => createHostRankingAccumulator({ commercialThreshold: 1.5 }), /"commercialThreshold" expects a non-negative integer/);
+  });
+});
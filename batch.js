@@ -0,0 +1,253 @@
+/**
+ * @module Batch
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import AirBnBDataHandler from './AirBnBDataHandler.js';
+import { datasetName } from './utils.js';
+
+const GLOB_CHARACTERS = /[*?[{]/;
+
+/**
+ * Compiles one path segment of a glob (`*`, `?`, `[abc]` and `{a,b}`) into a regular expression.
+ * @param {string} segment - The segment, without slashes.
+ * @returns {RegExp} - The expression matching whole file names.
+ */
+const segmentPattern = (segment) => {
+  let source = '';
+  let braces = 0;
+  let inClass = false;
+  for (const char of segment) {
+    if (inClass) {
+      source += char === '\\' ? '\\\\' : char;
+      if (char === ']') inClass = false;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      source += '[';
+      inClass = true;
+    } else if (char === '{') {
+      source += '(?:';
+      braces += 1;
+    } else if (char === '}' && braces > 0) {
+      source += ')';
+      braces -= 1;
+    } else if (char === ',' && braces > 0) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|\\\]}]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+};
+
+/**
+ * Lists the files matching a glob pattern such as `dumps/{paris,rome}-*.csv.gz`. Supports `*`, `?`,
+ * `[abc]`, `{a,b}` and `**` for any number of folders; hidden files and folders only match segments
+ * that start with a dot. A pattern without glob characters is returned as it is.
+ * @memberof module:Batch
+ * @param {string} pattern - The glob pattern.
+ * @returns {Promise<string[]>} - Matching file paths, sorted.
+ */
+export const expandGlob = async (pattern) => {
+  if (!GLOB_CHARACTERS.test(pattern)) {
+    return [pattern];
+  }
+  const segments = pattern.split(/[\\/]/);
+  const firstGlob = segments.findIndex((segment) => GLOB_CHARACTERS.test(segment));
+  const base = segments.slice(0, firstGlob).join('/') || (pattern.startsWith('/') ? '/' : '.');
+
+  const walk = async (dir, rest) => {
+    if (rest.length === 0) return [dir];
+    const [segment, ...remaining] = rest;
+    let children;
+    try {
+      children = await fs.readdir(dir, { withFileTypes: true });
+    } catch {
+      return [];
+    }
+    const visible = children.filter((child) => !child.name.startsWith('.') || segment.startsWith('.'));
+    if (segment === '**') {
+      const here = await walk(dir, remaining);
+      const below = await Promise.all(
+        visible.filter((child) => child.isDirectory()).map((child) => walk(path.join(dir, child.name), rest))
+      );
+      return [...here, ...below.flat()];
+    }
+    const matcher = segmentPattern(segment);
+    const matches = visible.filter((child) => matcher.test(child.name) && (remaining.length > 0 ? child.isDirectory() : child.isFile()));
+    return (await Promise.all(matches.map((child) => walk(path.join(dir, child.name), remaining)))).flat();
+  };
+
+  const files = await walk(base, segments.slice(firstGlob));
+  return [...new Set(files)].sort();
+};
+
+/**
+ * Runs an async task over items with at most `limit` tasks in flight, keeping the input order in the results.
+ * @memberof module:Batch
+ * @param {Array} items - The items.
+ * @param {number} limit - Maximum number of concurrent tasks.
+ * @param {function(*, number): Promise<*>} task - The task, given the item and its index.
+ * @returns {Promise<Array>} - The task results.
+ */
+export const mapWithConcurrency = async (items, limit, task) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await task(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+};
+
+/**
+ * Name of the city a file belongs to: the file name without extensions, or, for the generic Inside Airbnb
+ * names (`listings.csv.gz` in `<city>/<date>/data/`), the closest folder that is neither `data` nor a date.
+ * @memberof module:Batch
+ * @param {string} filePath - The input file.
+ * @returns {string} - The city name.
+ */
+export const cityName = (filePath) => {
+  const name = datasetName(filePath);
+  if (!/^(listings|reviews|calendar)$/i.test(name)) {
+    return name;
+  }
+  const folder = path.resolve(path.dirname(filePath))
+    .split(path.sep)
+    .reverse()
+    .find((part) => part && part !== 'data' && !/^\d{4}-\d{2}-\d{2}$/.test(part));
+  return folder || name;
+};
+
+/**
+ * Streams and analyses one city with the profile, keeping only its aggregates. Errors, including a
+ * file without rows or without the required listing columns, are returned as a failed result instead of thrown.
+ * @param {string} filePath - The input file.
+ * @param {string} city - The city name.
+ * @param {Object} profile - The profile, see {@link module:Profiles.validateProfile}.
+ * @param {Object} options - Batch options.
+ * @returns {Promise<Object>} - The city result.
+ */
+const analyzeCity = async (filePath, city, profile, { entries, hostLimit }) => {
+  try {
+    const { topN = hostLimit, ...rankingOptions } = profile.hostRanking;
+    const handler = await AirBnBDataHandler(filePath, profile.prices).processStream({
+      criteria: profile.criteria,
+      groupBy: profile.groupBy,
+      hostRanking: rankingOptions,
+      entry: entries?.[0],
+      onInvalid: profile.onInvalid,
+    });
+    const quality = handler.getDataQualityReport();
+    if (quality.totalRows === 0) {
+      throw new Error('No listings found; the file is empty or has no recognisable CSV header.');
+    }
+    if (quality.missingColumns.length > 0) {
+      throw new Error(`Missing required columns: ${quality.missingColumns.join(', ')}.`);
+    }
+    const statistics = profile.reports.includes('statistics') ? handler.getStatistics() : null;
+    const ranking = profile.reports.includes('hosts') ? handler.getHostRanking() : null;
+    return {
+      city,
+      file: filePath,
+      status: 'ok',
+      totalListings: quality.policy === 'drop' ? quality.validRows : quality.totalRows,
+      matchedListings: handler.getStatistics().totalListings,
+      dataQuality: { validRows: quality.validRows, invalidRows: quality.invalidRows },
+      statistics,
+      hostsCount: ranking ? ranking.length : null,
+      commercialHosts: ranking ? ranking.filter((host) => host.isLikelyCommercial).length : null,
+      hostRanking: ranking ? ranking.slice(0, topN) : null,
+    };
+  } catch (error) {
+    return { city, file: filePath, status: 'failed', error: error.message };
+  }
+};
+
+/**
+ * One comparison row per city: listing counts, price and review figures, and host concentration.
+ * @memberof module:Batch
+ * @param {Object} result - A city result.
+ * @returns {Object} - The row; figures that were not computed are null.
+ */
+export const comparisonRow = (result) => {
+  const metrics = result.statistics?.metrics;
+  const topHost = result.hostRanking?.[0];
+  return {
+    city: result.city,
+    status: result.status,
+    listings: result.totalListings ?? null,
+    matched: result.matchedListings ?? null,
+    matchedShare: result.totalListings ? Math.round((result.matchedListings / result.totalListings) * 1000) / 10 : null,
+    currency: result.statistics?.currency ?? null,
+    medianPrice: metrics?.price.median ?? null,
+    meanPrice: metrics?.price.mean ?? null,
+    p25Price: metrics?.price.p25 ?? null,
+    p75Price: metrics?.price.p75 ?? null,
+    meanReviewScore: metrics?.reviewScore.mean ?? null,
+    hosts: result.hostsCount ?? null,
+    commercialHostShare: result.hostsCount ? Math.round((result.commercialHosts / result.hostsCount) * 1000) / 10 : null,
+    topHost: topHost ? topHost.hostName : null,
+    topHostListings: topHost ? topHost.listingsCount : null,
+    error: result.error ?? null,
+  };
+};
+
+/**
+ * Applies a profile to many input files and builds one cross-city report. Files are streamed with
+ * {@link module:AirBnBDataHandler} `processStream`, `concurrency` at a time, and each city keeps only
+ * its aggregates, so no dump is ever held in memory whole.
+ * A file that cannot be read or parsed is reported as failed and the batch goes on.
+ * @memberof module:Batch
+ * @param {string[]} patterns - Input files or glob patterns, see {@link module:Batch.expandGlob}.
+ * @param {Object} profile - The profile, see {@link module:Profiles.validateProfile}.
+ * @param {Object} [options] - Batch options.
+ * @param {number} [options.concurrency=2] - Number of files processed at the same time.
+ * @param {string|string[]} [options.entries] - For .zip files, the CSV entry to stream; at most one.
+ * @param {number} [options.hostLimit=10] - Hosts kept per city when the profile sets no `topN`.
+ * @param {function(Object): void} [options.onResult] - Called with each city result as soon as it is ready.
+ * @returns {Promise<Object>} - `{ metadata, comparison, cities, failures }`.
+ */
+export const runBatch = async (patterns, profile, { concurrency = 2, entries, hostLimit = 10, onResult = () => {} } = {}) => {
+  entries = entries === undefined ? undefined : [].concat(entries);
+  if (entries && entries.length > 1) {
+    throw new Error('Only one ZIP entry can be streamed per file.');
+  }
+  const files = [...new Set((await Promise.all(patterns.map(expandGlob))).flat())];
+  if (files.length === 0) {
+    throw new Error(`No input files match ${patterns.join(', ')}.`);
+  }
+  const names = files.map(cityName);
+  const cities = names.map((name, index) =>
+    (names.indexOf(name) !== names.lastIndexOf(name) ? path.relative(process.cwd(), files[index]) : name));
+
+  const results = await mapWithConcurrency(files, concurrency, async (filePath, index) => {
+    const result = await analyzeCity(filePath, cities[index], profile, { entries, hostLimit });
+    onResult(result);
+    return result;
+  });
+
+  return {
+    metadata: {
+      profile: profile.name ?? null,
+      description: profile.description ?? '',
+      criteria: profile.criteria,
+      reports: profile.reports,
+      generatedAt: new Date().toISOString(),
+      files: files.length,
+      succeeded: results.filter((result) => result.status === 'ok').length,
+      failed: results.filter((result) => result.status === 'failed').length,
+    },
+    comparison: results.map(comparisonRow),
+    cities: results.filter((result) => result.status === 'ok'),
+    failures: results.filter((result) => result.status === 'failed').map(({ city, file, error }) => ({ city, file, error })),
+  };
+};
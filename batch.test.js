@@ -0,0 +1,110 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { cityName, expandGlob, mapWithConcurrency, runBatch } from './batch.js';
+import { validateProfile } from './profiles.js';
+
+const HEADER = 'id,name,host_id,host_name,price,room_type,bedrooms';
+
+const LISTINGS = [
+  HEADER,
+  '1,Loft,10,Ann,$100.00,Entire home/apt,1',
+  '2,Room,10,Ann,$60.00,Private room,1',
+  '3,Flat,20,Bob,$250.00,Entire home/apt,2',
+].join('\n');
+
+describe('batch', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'airbnb-batch-'));
+    await fs.mkdir(path.join(dir, 'berlin', '2024-03-01', 'data'), { recursive: true });
+    await fs.mkdir(path.join(dir, '.hidden'));
+    await Promise.all([
+      fs.writeFile(path.join(dir, 'paris.csv'), LISTINGS),
+      fs.writeFile(path.join(dir, 'rome.csv'), `${HEADER}\n`),
+      fs.writeFile(path.join(dir, 'oslo.csv'), 'not a listings file'),
+      fs.writeFile(path.join(dir, 'lisbon.csv'), 'id,name\n1,Loft\n'),
+      fs.writeFile(path.join(dir, 'notes.txt'), ''),
+      fs.writeFile(path.join(dir, 'berlin', '2024-03-01', 'data', 'listings.csv'), LISTINGS),
+      fs.writeFile(path.join(dir, '.hidden', 'madrid.csv'), LISTINGS),
+    ]);
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  describe('expandGlob', () => {
+    it('matches files with *, ?, classes and braces', async () => {
+      const names = async (pattern) => (await expandGlob(path.join(dir, pattern))).map((file) => path.basename(file));
+      assert.deepEqual(await names('*.csv'), ['lisbon.csv', 'oslo.csv', 'paris.csv', 'rome.csv']);
+      assert.deepEqual(await names('{paris,rome}.csv'), ['paris.csv', 'rome.csv']);
+      assert.deepEqual(await names('[lo]*.c?v'), ['lisbon.csv', 'oslo.csv']);
+    });
+
+    it('walks folders with ** and skips hidden ones', async () => {
+      const files = await expandGlob(path.join(dir, '**', 'listings.csv'));
+      assert.deepEqual(files, [path.join(dir, 'berlin', '2024-03-01', 'data', 'listings.csv')]);
+      assert.deepEqual(await expandGlob(path.join(dir, '**', 'madrid.csv')), []);
+    });
+
+    it('returns a pattern without glob characters as it is', async () => {
+      assert.deepEqual(await expandGlob('missing.csv'), ['missing.csv']);
+    });
+  });
+
+  describe('cityName', () => {
+    it('names cities after the file or its Inside Airbnb folder', () => {
+      assert.equal(cityName('dumps/paris.csv.gz'), 'paris');
+      assert.equal(cityName(path.join(dir, 'berlin', '2024-03-01', 'data', 'listings.csv')), 'berlin');
+    });
+  });
+
+  describe('mapWithConcurrency', () => {
+    it('keeps the input order with at most limit tasks in flight', async () => {
+      let running = 0;
+      let peak = 0;
+      const results = await mapWithConcurrency([30, 10, 20, 0], 2, async (delay, index) => {
+        running += 1;
+        peak = Math.max(peak, running);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        running -= 1;
+        return index;
+      });
+      assert.deepEqual(results, [0, 1, 2, 3]);
+      assert.equal(peak, 2);
+    });
+  });
+
+  describe('runBatch', () => {
+    const profile = validateProfile('test', { criteria: { price: { max: 200 } } });
+
+    it('reports failed cities and goes on with the others', async () => {
+      const seen = [];
+      const report = await runBatch([path.join(dir, '*.csv')], profile, { onResult: (result) => seen.push(result.city) });
+      assert.deepEqual([report.metadata.files, report.metadata.succeeded, report.metadata.failed], [4, 1, 3]);
+      assert.deepEqual(seen.sort(), ['lisbon', 'oslo', 'paris', 'rome']);
+      assert.deepEqual(report.cities.map((city) => [city.city, city.totalListings, city.matchedListings]), [['paris', 3, 2]]);
+      assert.deepEqual(Object.fromEntries(report.failures.map((failure) => [failure.city, failure.error])), {
+        lisbon: 'Missing required columns: host_id, host_name, price, room_type, bedrooms.',
+        oslo: 'No listings found; the file is empty or has no recognisable CSV header.',
+        rome: 'No listings found; the file is empty or has no recognisable CSV header.',
+      });
+      assert.deepEqual(report.comparison.map((row) => [row.city, row.status]), [
+        ['lisbon', 'failed'], ['oslo', 'failed'], ['paris', 'ok'], ['rome', 'failed'],
+      ]);
+    });
+
+    it('reports a file that cannot be read as failed', async () => {
+      const report = await runBatch([path.join(dir, 'paris.csv'), path.join(dir, 'missing.csv')], profile);
+      assert.equal(report.metadata.failed, 1);
+      assert.match(report.failures[0].error, /missing\.csv/);
+    });
+
+    it('rejects patterns without files and several ZIP entries', async () => {
+      await assert.rejects(runBatch([path.join(dir, '*.gz')], profile), /No input files match/);
+      await assert.rejects(runBatch([path.join(dir, '*.csv')], profile, { entries: ['a.csv', 'b.csv'] }), /Only one ZIP entry/);
+    });
+  });
+});
@@ -0,0 +1,298 @@
+/**
+ * @module Cache
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import { Transform } from 'stream';
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import v8 from 'v8';
+import zlib from 'zlib';
+import { promisify } from 'util';
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Version of the cache file layout; entries written with another version are ignored and replaced.
+ * @memberof module:Cache
+ */
+export const CACHE_FORMAT_VERSION = 1;
+
+/**
+ * Cache directory: the given one, else `$AIRBNB_CACHE_DIR`, else `$XDG_CACHE_HOME/airbnb-data-processor`,
+ * else `~/.cache/airbnb-data-processor`.
+ * @memberof module:Cache
+ * @param {string} [dir] - Directory chosen by the caller.
+ * @returns {string} - The cache directory.
+ */
+export const resolveCacheDir = (dir) =>
+  path.resolve(
+    dir ||
+      process.env.AIRBNB_CACHE_DIR ||
+      path.join(process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'airbnb-data-processor')
+  );
+
+/**
+ * SHA-256 of a file's contents, read as a stream.
+ * @memberof module:Cache
+ * @param {string} filePath - The file.
+ * @returns {Promise<string>} - The hex digest.
+ */
+export const hashFile = async (filePath) => {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+};
+
+/**
+ * Pass-through stream computing the SHA-256 of the bytes going through it, so a file can be hashed
+ * while it is being parsed instead of being read a second time.
+ * @memberof module:Cache
+ * @returns {{stream: import('stream').Transform, digest: function(): string}} - The stream, and the hex
+ * digest once it has ended.
+ */
+export const createHashStream = () => {
+  const hash = crypto.createHash('sha256');
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+  return { stream, digest: () => hash.digest('hex') };
+};
+
+/**
+ * Entries requested from a .zip archive, as stored in the cache key; ignored for other files.
+ * @param {string} sourcePath - The source file.
+ * @param {string|string[]} [entries] - The requested entries.
+ * @returns {string[]} - The entries, in order.
+ */
+const entryList = (sourcePath, entries) =>
+  sourcePath.toLowerCase().endsWith('.zip') && entries ? [].concat(entries) : [];
+
+/**
+ * Key of the cache entry of a source file and entry selection.
+ * @param {string} sourcePath - Absolute path of the source file.
+ * @param {string[]} entries - The requested entries.
+ * @returns {string} - The key.
+ */
+const cacheKey = (sourcePath, entries) =>
+  crypto.createHash('sha1').update(JSON.stringify([sourcePath, entries])).digest('hex').slice(0, 16);
+
+const entryFiles = (dir, key) => ({
+  metadataFile: path.join(dir, `${key}.json`),
+  dataFile: path.join(dir, `${key}.v8.gz`),
+});
+
+/**
+ * Stores rows column by column, which keeps the header names out of every row.
+ * @param {Object[]} rows - Parsed rows.
+ * @returns {{columns: string[], values: Array[], length: number}} - The columnar dataset.
+ */
+const toColumns = (rows) => {
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  return {
+    columns,
+    values: columns.map((column) => rows.map((row) => row[column])),
+    length: rows.length,
+  };
+};
+
+const fromColumns = ({ columns, values, length }) =>
+  Array.from({ length }, (_, index) => {
+    const row = {};
+    columns.forEach((column, columnIndex) => {
+      if (values[columnIndex][index] !== undefined) row[column] = values[columnIndex][index];
+    });
+    return row;
+  });
+
+const readMetadata = async (metadataFile) => JSON.parse(await fs.readFile(metadataFile, 'utf8'));
+
+const removeEntry = (dir, key) => {
+  const { metadataFile, dataFile } = entryFiles(dir, key);
+  return Promise.all([fs.rm(metadataFile, { force: true }), fs.rm(dataFile, { force: true })]);
+};
+
+/**
+ * Compares a cache entry with its source file. Size and modification time are checked first;
+ * when they differ the contents are hashed, so a file that was only touched keeps its cache.
+ * @param {Object} metadata - The cache entry metadata.
+ * @param {Object} [options] - Check options.
+ * @param {boolean} [options.hash=true] - Hash the source when size or modification time changed.
+ * @returns {Promise<'fresh'|'stale'|'missing'|'touched'>} - `touched` means only the modification time changed.
+ */
+const checkSource = async (metadata, { hash = true } = {}) => {
+  let stats;
+  try {
+    stats = await fs.stat(metadata.sourcePath);
+  } catch {
+    return 'missing';
+  }
+  if (metadata.version !== CACHE_FORMAT_VERSION || stats.size !== metadata.size) return 'stale';
+  if (stats.mtimeMs === metadata.mtimeMs) return 'fresh';
+  if (!hash) return 'stale';
+  return (await hashFile(metadata.sourcePath)) === metadata.hash ? 'touched' : 'stale';
+};
+
+/**
+ * Reads the cached datasets of a source file, if the cache is still valid. Stale or unreadable
+ * entries are removed.
+ * @memberof module:Cache
+ * @param {string} sourcePath - The source file.
+ * @param {Object} [options] - Cache options.
+ * @param {string|string[]} [options.entries] - For .zip files, the entries that were loaded.
+ * @param {string} [options.dir] - Cache directory, see {@link module:Cache.resolveCacheDir}.
+ * @returns {Promise<{datasets: Object<string, Object[]>, key: string}|null>} - The datasets, or null on a miss.
+ */
+export const readCachedDatasets = async (sourcePath, { entries, dir } = {}) => {
+  const cacheDir = resolveCacheDir(dir);
+  const absolutePath = path.resolve(sourcePath);
+  const key = cacheKey(absolutePath, entryList(absolutePath, entries));
+  const { metadataFile, dataFile } = entryFiles(cacheDir, key);
+
+  let metadata;
+  try {
+    metadata = await readMetadata(metadataFile);
+  } catch {
+    return null;
+  }
+  const status = await checkSource(metadata);
+  if (status === 'stale' || status === 'missing') {
+    await removeEntry(cacheDir, key);
+    return null;
+  }
+  try {
+    const stored = v8.deserialize(await gunzip(await fs.readFile(dataFile)));
+    const refreshed = status === 'touched' ? { mtimeMs: (await fs.stat(absolutePath)).mtimeMs } : {};
+    await fs.writeFile(metadataFile, JSON.stringify({ ...metadata, ...refreshed, lastUsedAt: new Date().toISOString() }, null, 2));
+    return {
+      key,
+      datasets: Object.fromEntries(Object.entries(stored.datasets).map(([name, dataset]) => [name, fromColumns(dataset)])),
+    };
+  } catch {
+    await removeEntry(cacheDir, key);
+    return null;
+  }
+};
+
+/**
+ * Stores parsed datasets for a source file, replacing any previous entry for it.
+ * Rows are kept as the CSV parser returned them, with string values; column types are read again
+ * on every load. The data file is written first and the metadata last, so a partly written entry is never used.
+ * @memberof module:Cache
+ * @param {string} sourcePath - The source file.
+ * @param {Object<string, Object[]>} datasets - Parsed rows by file or entry name.
+ * @param {Object} [options] - Cache options.
+ * @param {string|string[]} [options.entries] - For .zip files, the entries that were loaded.
+ * @param {string} [options.dir] - Cache directory, see {@link module:Cache.resolveCacheDir}.
+ * @param {string} [options.hash] - SHA-256 of the source, e.g. from {@link module:Cache.createHashStream}
+ * while parsing; the file is hashed when omitted.
+ * @returns {Promise<Object>} - The metadata of the new entry.
+ */
+export const writeCachedDatasets = async (sourcePath, datasets, { entries, dir, hash: sourceHash } = {}) => {
+  const cacheDir = resolveCacheDir(dir);
+  const absolutePath = path.resolve(sourcePath);
+  const entryNames = entryList(absolutePath, entries);
+  const key = cacheKey(absolutePath, entryNames);
+  const { metadataFile, dataFile } = entryFiles(cacheDir, key);
+
+  const [stats, hash] = await Promise.all([fs.stat(absolutePath), sourceHash ?? hashFile(absolutePath)]);
+  const columnar = Object.fromEntries(Object.entries(datasets).map(([name, rows]) => [name, toColumns(rows)]));
+  const data = await gzip(v8.serialize({ version: CACHE_FORMAT_VERSION, datasets: columnar }), { level: zlib.constants.Z_BEST_SPEED });
+
+  await fs.mkdir(cacheDir, { recursive: true });
+  await fs.rm(metadataFile, { force: true });
+  await fs.writeFile(dataFile, data);
+  const metadata = {
+    version: CACHE_FORMAT_VERSION,
+    key,
+    sourcePath: absolutePath,
+    entries: entryNames,
+    size: stats.size,
+    mtimeMs: stats.mtimeMs,
+    hash,
+    cacheSize: data.length,
+    datasets: Object.fromEntries(
+      Object.entries(columnar).map(([name, { columns, length }]) => [name, { rows: length, columns }])
+    ),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: new Date().toISOString(),
+  };
+  await fs.writeFile(metadataFile, JSON.stringify(metadata, null, 2));
+  return metadata;
+};
+
+/**
+ * Lists the cache entries with the state of their source: `fresh`, `stale` (size or modification
+ * time changed; contents are not hashed here) or `missing`.
+ * @memberof module:Cache
+ * @param {Object} [options] - Cache options.
+ * @param {string} [options.dir] - Cache directory, see {@link module:Cache.resolveCacheDir}.
+ * @returns {Promise<Object[]>} - Entry metadata with `status`, most recently used first.
+ */
+export const listCacheEntries = async ({ dir } = {}) => {
+  const cacheDir = resolveCacheDir(dir);
+  let files;
+  try {
+    files = await fs.readdir(cacheDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const entries = [];
+  for (const file of files.filter((name) => name.endsWith('.json'))) {
+    try {
+      const metadata = await readMetadata(path.join(cacheDir, file));
+      entries.push({ ...metadata, status: await checkSource(metadata, { hash: false }) });
+    } catch {
+      // Unreadable metadata is left for clearCache.
+    }
+  }
+  return entries.sort((a, b) => String(b.lastUsedAt).localeCompare(String(a.lastUsedAt)));
+};
+
+/**
+ * Finds the cache entries of a source file (one per entry selection of a .zip), or the entry with the given key.
+ * @memberof module:Cache
+ * @param {string} target - Source file path or cache key.
+ * @param {Object} [options] - Cache options.
+ * @param {string} [options.dir] - Cache directory, see {@link module:Cache.resolveCacheDir}.
+ * @returns {Promise<Object[]>} - Matching entry metadata with `status`.
+ */
+export const findCacheEntries = async (target, { dir } = {}) => {
+  const absolutePath = path.resolve(target);
+  return (await listCacheEntries({ dir })).filter((entry) => entry.key === target || entry.sourcePath === absolutePath);
+};
+
+/**
+ * Removes cache entries: all of them, those of the given source files or keys, or only the stale ones.
+ * @memberof module:Cache
+ * @param {Object} [options] - Cache options.
+ * @param {string[]} [options.targets] - Source file paths or cache keys; every entry when omitted.
+ * @param {boolean} [options.staleOnly=false] - Only remove entries whose source changed or disappeared.
+ * @param {string} [options.dir] - Cache directory, see {@link module:Cache.resolveCacheDir}.
+ * @returns {Promise<Object[]>} - Metadata of the removed entries.
+ */
+export const clearCache = async ({ targets, staleOnly = false, dir } = {}) => {
+  const cacheDir = resolveCacheDir(dir);
+  const entries = targets && targets.length > 0
+    ? (await Promise.all(targets.map((target) => findCacheEntries(target, { dir })))).flat()
+    : await listCacheEntries({ dir });
+  const removed = entries.filter((entry) => !staleOnly || entry.status !== 'fresh');
+  await Promise.all(removed.map((entry) => removeEntry(cacheDir, entry.key)));
+  if (!staleOnly && (!targets || targets.length === 0)) {
+    // Also drop leftovers without readable metadata, e.g. from an interrupted write.
+    const files = await fs.readdir(cacheDir).catch(() => []);
+    await Promise.all(files
+      .filter((file) => /^[0-9a-f]{16}\.(json|v8\.gz)$/.test(file))
+      .map((file) => fs.rm(path.join(cacheDir, file), { force: true })));
+  }
+  return removed;
+};
@@ -0,0 +1,108 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { Readable, Writable } from 'stream';
+import AirBnBDataHandler from './AirBnBDataHandler.js';
+import { clearCache, createHashStream, hashFile, listCacheEntries, readCachedDatasets, writeCachedDatasets } from './cache.js';
+
+const LISTINGS = [
+  'id,name,host_id,host_name,price,room_type,bedrooms',
+  '1,Loft,10,Ann,$100.00,Entire home/apt,1',
+  '2,Room,10,Ann,$60.00,Private room,',
+].join('\n');
+
+const ROWS = [{ id: '1', name: 'Loft' }, { id: '2' }];
+
+describe('cache', () => {
+  let dir;
+  let cacheDir;
+  let source;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'airbnb-cache-'));
+    cacheDir = path.join(dir, 'cache');
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  /**
+   * Writes a source file in the test folder and caches `ROWS` for it.
+   * @param {string} name - File name in the test folder.
+   * @param {string} contents - File contents.
+   * @returns {Promise<Object>} - Metadata of the cache entry.
+   */
+  const cached = async (name, contents) => {
+    source = path.join(dir, name);
+    await fs.writeFile(source, contents);
+    return writeCachedDatasets(source, { [name]: ROWS }, { dir: cacheDir });
+  };
+
+  it('reads back the rows it wrote, with the hash of the source', async () => {
+    const metadata = await cached('fresh.csv', 'id\n1\n');
+    assert.equal(metadata.hash, await hashFile(source));
+    assert.deepEqual(metadata.datasets, { 'fresh.csv': { rows: 2, columns: ['id', 'name'] } });
+    assert.deepEqual(await readCachedDatasets(source, { dir: cacheDir }), { key: metadata.key, datasets: { 'fresh.csv': ROWS } });
+  });
+
+  it('keeps the entry of a file that was only touched', async () => {
+    await cached('touched.csv', 'id\n1\n');
+    const later = new Date(Date.now() + 60000);
+    await fs.utimes(source, later, later);
+    assert.deepEqual((await readCachedDatasets(source, { dir: cacheDir })).datasets, { 'touched.csv': ROWS });
+    const entry = (await listCacheEntries({ dir: cacheDir })).find((item) => item.sourcePath === source);
+    assert.equal(entry.status, 'fresh');
+  });
+
+  it('drops the entry of a file whose contents changed', async () => {
+    const { key } = await cached('changed.csv', 'id\n1\n');
+    await fs.writeFile(source, 'id\n2\n');
+    const later = new Date(Date.now() + 60000);
+    await fs.utimes(source, later, later);
+    assert.equal(await readCachedDatasets(source, { dir: cacheDir }), null);
+    await assert.rejects(fs.access(path.join(cacheDir, `${key}.json`)));
+  });
+
+  it('keeps one entry per selection of ZIP entries', async () => {
+    source = path.join(dir, 'city.zip');
+    await fs.writeFile(source, 'not read');
+    const first = await writeCachedDatasets(source, { 'listings.csv': ROWS }, { dir: cacheDir, entries: 'listings.csv', hash: 'x' });
+    const second = await writeCachedDatasets(source, { 'reviews.csv': ROWS }, { dir: cacheDir, entries: ['reviews.csv'], hash: 'x' });
+    assert.notEqual(first.key, second.key);
+    assert.deepEqual(first.entries, ['listings.csv']);
+  });
+
+  it('removes only stale entries with staleOnly', async () => {
+    await cached('stale.csv', 'id\n1\n');
+    await fs.writeFile(source, 'id\n1\n2\n');
+    const removed = await clearCache({ staleOnly: true, dir: cacheDir });
+    assert.deepEqual(removed.map((entry) => path.basename(entry.sourcePath)), ['stale.csv']);
+    assert.ok((await listCacheEntries({ dir: cacheDir })).every((entry) => entry.status === 'fresh'));
+  });
+
+  it('hashes the bytes streamed through it', async () => {
+    source = path.join(dir, 'streamed.csv');
+    await fs.writeFile(source, LISTINGS);
+    const { stream, digest } = createHashStream();
+    await pipeline(Readable.from([Buffer.from(LISTINGS)]), stream, new Writable({ write: (chunk, encoding, callback) => callback() }));
+    assert.equal(digest(), await hashFile(source));
+  });
+
+  it('serves the second load of a file from the cache', async () => {
+    source = path.join(dir, 'listings.csv');
+    await fs.writeFile(source, LISTINGS);
+    const first = await AirBnBDataHandler(source).loadData({ cache: { dir: cacheDir } });
+    const second = await AirBnBDataHandler(source).loadData({ cache: { dir: cacheDir } });
+    assert.equal(first.getCacheInfo().hit, false);
+    assert.equal(second.getCacheInfo().hit, true);
+    assert.deepEqual(second.getData(), first.getData());
+    assert.deepEqual(second.getDataQualityReport(), first.getDataQualityReport());
+  });
+
+  it('removes every entry', async () => {
+    await clearCache({ dir: cacheDir });
+    assert.deepEqual(await fs.readdir(cacheDir), []);
+  });
+});
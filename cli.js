@@ -3,98 +3,1244 @@
  */
 
 import readline from 'readline';
+import { parseArgs } from 'util';
+import { existsSync, readFileSync } from 'fs';
 import AirBnBDataHandler from './AirBnBDataHandler.js';
+import { validateCriteria } from './filters.js';
+import { HOST_RANKING_METRICS, createHostRankingAccumulator } from './aggregators.js';
+import { EXPORT_FORMATS, detectFormat, flattenGroups, writeBatchExport, writeDiffExport } from './exporters.js';
+import { INVALID_ROW_POLICIES } from './schema.js';
+import { RATES_BASE, exchangeRate } from './utils.js';
+import { SNAPSHOT_FIELDS, compareSnapshots } from './snapshots.js';
+import { startServer } from './server.js';
+import { clearCache, findCacheEntries, listCacheEntries, resolveCacheDir } from './cache.js';
+import { DEFAULT_CONFIG_FILE, REPORTS, getProfile, loadProfiles } from './profiles.js';
+import { runBatch } from './batch.js';
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout,
-});
+/**
+ * Process exit codes returned by the command-line mode.
+ * @memberof module:CLI
+ * @enum {number}
+ */
+const EXIT_CODES = {
+  OK: 0,
+  UNEXPECTED_ERROR: 1,
+  USAGE_ERROR: 2,
+  INPUT_ERROR: 3,
+  OUTPUT_ERROR: 4,
+  DATA_QUALITY_ERROR: 5,
+  SERVER_ERROR: 6,
+  PARTIAL_FAILURE: 7,
+};
+
+const CACHE_ACTIONS = ['list', 'inspect', 'clear'];
+
+const USAGE = `Usage: node cli.js [options] <file>
+       node cli.js diff [options] <before> <after>
+       node cli.js serve [options] <file|name=file>...
+       node cli.js cache list | inspect <file|key> | clear [file|key...] [--stale]
+       node cli.js batch [--profile <name>] [options] <file|glob>...
+       node cli.js profiles [--config <file>]
+
+Runs the interactive wizard when called without arguments. The diff command compares two dumps of
+the same city: listings added, removed and changed, statistics changes and host portfolio changes.
+The serve command loads the files once and answers HTTP requests on the local machine
+(GET /health, /listings, /statistics, /hosts and /export; see the README).
+Parsed files are cached on disk and reused until the file changes; the cache command lists,
+inspects and clears the cached datasets.
+Named analysis profiles (criteria, reports, grouping, host ranking and export settings) are read
+from ${DEFAULT_CONFIG_FILE}; flags given next to --profile override the profile. The batch command
+applies the same analysis to many files, e.g. 'dumps/*.csv.gz', and prints one cross-city comparison;
+a file that fails is reported and the others still run. The profiles command lists the profiles.
+
+Options:
+  -i, --input <file>          Input file (.csv, .csv.gz or .zip)
+      --entry <name>          CSV entry to load from a .zip archive (repeatable; a loaded
+                              reviews.csv or calendar.csv entry is joined to the listings;
+                              --stream and batch read a single entry)
+      --reviews <file>        Reviews file to join (reviews.csv, .csv.gz or .zip)
+      --calendar <file>       Calendar file to join (calendar.csv, .csv.gz or .zip)
+      --from <YYYY-MM-DD>     Start of the reviews/calendar window
+      --to <YYYY-MM-DD>       End of the reviews/calendar window
+      --locale <tag>          Locale of the numbers in the file, e.g. de-DE for 1.234,50
+      --currency <code>       Currency of the prices in the file (Inside Airbnb always writes $)
+      --reporting-currency <code>
+                              Convert every price to this currency
+      --rates <json|@file>    Exchange rates for the conversion: the value of one unit of each
+                              currency in USD, e.g. '{"EUR":1.08,"GBP":1.27}'
+      --on-invalid <policy>   Rows breaking the listings schema: ${INVALID_ROW_POLICIES.join(', ')} (default: keep)
+      --min-price <n>         Minimum nightly price
+      --max-price <n>         Maximum nightly price
+      --min-rooms <n>         Minimum number of bedrooms
+      --max-rooms <n>         Maximum number of bedrooms
+      --min-review-score <n>  Minimum review score
+      --max-review-score <n>  Maximum review score
+      --neighbourhood <list>  Comma-separated neighbourhoods to include
+      --exclude-neighbourhood <list>
+                              Comma-separated neighbourhoods to exclude
+      --room-type <list>      Comma-separated room types to include
+      --property-type <list>  Comma-separated property types to include
+      --superhost             Only listings of superhosts
+      --instant-bookable      Only instantly bookable listings
+      --amenity <name>        Required amenity (repeatable)
+      --search <text>         Text to look for in the name or description
+      --rank-by <metric>      Rank hosts by ${HOST_RANKING_METRICS.join(', ')}
+                              (default: listingsCount)
+      --order <asc|desc>      Host ranking order (default: desc)
+      --top <n>               Keep only the top N hosts
+      --commercial-threshold <n>
+                              Flag hosts with more entire-home listings than this (default: 2)
+  -g, --group-by <list>       Break statistics down by up to two columns,
+                              e.g. neighbourhood_cleansed,room_type
+      --filter <json|@file>   Declarative criteria as JSON, inline or read from a file,
+                              e.g. '{"or":[{"room_type":"Private room"},{"price":{"max":80}}]}'
+  -r, --reports <list>        Comma-separated reports to compute: ${REPORTS.join(',')} (default: all)
+  -o, --output <file>         Export the results to a file
+  -f, --format <format>       Export format: ${EXPORT_FORMATS.join(', ')}
+                              (default: inferred from the output file extension)
+      --columns <list>        Comma-separated listing columns to export
+      --gzip                  Gzip the exported file (implied by a .gz extension)
+      --fields <list>         Listing fields compared by diff: ${Object.keys(SNAPSHOT_FIELDS).join(', ')}
+                              (default: all)
+      --port <n>              Port of the serve command (default: 8080)
+      --host <address>        Interface of the serve command (default: 127.0.0.1)
+      --cache-dir <dir>       Cache directory (default: $AIRBNB_CACHE_DIR or ~/.cache/airbnb-data-processor)
+      --no-cache              Parse the input again without reading or writing the cache
+      --stale                 With cache clear, only remove entries whose source changed or is gone
+  -p, --profile <name>        Apply a named analysis profile
+      --config <file>         Profiles file (default: ${DEFAULT_CONFIG_FILE})
+      --concurrency <n>       Files processed at the same time by batch (default: 2)
+      --stream                Process the file as a stream, keeping only aggregates in memory
+      --sample-size <n>       Number of matching listings kept in --stream mode (default: 10)
+      --json                  Print the results as JSON to stdout
+  -q, --quiet                 Print nothing except errors and --json output
+  -h, --help                  Show this help
+
+Exit codes: 0 success, 1 unexpected error, 2 invalid arguments, 3 input file error, 4 export error,
+5 data quality check failed (--on-invalid fail), 6 server could not start, 7 some batch files failed.`;
+
+const OPTIONS = {
+  input: { type: 'string', short: 'i' },
+  entry: { type: 'string', multiple: true },
+  reviews: { type: 'string' },
+  calendar: { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  'on-invalid': { type: 'string' },
+  locale: { type: 'string' },
+  currency: { type: 'string' },
+  'reporting-currency': { type: 'string' },
+  rates: { type: 'string' },
+  'min-price': { type: 'string' },
+  'max-price': { type: 'string' },
+  'min-rooms': { type: 'string' },
+  'max-rooms': { type: 'string' },
+  'min-review-score': { type: 'string' },
+  'max-review-score': { type: 'string' },
+  neighbourhood: { type: 'string' },
+  'exclude-neighbourhood': { type: 'string' },
+  'room-type': { type: 'string' },
+  'property-type': { type: 'string' },
+  superhost: { type: 'boolean' },
+  'instant-bookable': { type: 'boolean' },
+  amenity: { type: 'string', multiple: true },
+  search: { type: 'string' },
+  filter: { type: 'string' },
+  'group-by': { type: 'string', short: 'g' },
+  'rank-by': { type: 'string' },
+  order: { type: 'string' },
+  top: { type: 'string' },
+  'commercial-threshold': { type: 'string' },
+  reports: { type: 'string', short: 'r' },
+  output: { type: 'string', short: 'o' },
+  format: { type: 'string', short: 'f' },
+  columns: { type: 'string' },
+  gzip: { type: 'boolean' },
+  fields: { type: 'string' },
+  port: { type: 'string' },
+  'cache-dir': { type: 'string' },
+  'no-cache': { type: 'boolean' },
+  stale: { type: 'boolean' },
+  profile: { type: 'string', short: 'p' },
+  config: { type: 'string' },
+  concurrency: { type: 'string' },
+  host: { type: 'string' },
+  stream: { type: 'boolean' },
+  'sample-size': { type: 'string' },
+  json: { type: 'boolean' },
+  quiet: { type: 'boolean', short: 'q' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+const CRITERIA_FLAGS = {
+  minPrice: 'min-price',
+  maxPrice: 'max-price',
+  minRooms: 'min-rooms',
+  maxRooms: 'max-rooms',
+  minReviewScore: 'min-review-score',
+  maxReviewScore: 'max-review-score',
+};
 
 /**
- * Promisified version of readline.question for easier async/await usage.
+ * Creates an error carrying the exit code the process should end with.
  * @memberof module:CLI
- * @param {string} query - The question to prompt the user.
- * @returns {Promise<string>} - A promise that resolves to the user's input.
+ * @param {string} message - The error message.
+ * @param {number} exitCode - One of {@link module:CLI.EXIT_CODES}.
+ * @returns {Error} - The error.
  */
-const question = (query) => new Promise((resolve) => rl.question(query, resolve));
+const cliError = (message, exitCode) => Object.assign(new Error(message), { exitCode });
 
 /**
- * Main function to run the CLI application.
- * Utilizes Method Chaining for better readability and flow.
+ * Runs an async step and tags any failure with the given exit code.
  * @memberof module:CLI
+ * @param {function(): Promise<*>} step - The step to run.
+ * @param {number} exitCode - Exit code used when the step fails.
+ * @returns {Promise<*>} - The step's result.
  */
-const main = async () => {
+const withExitCode = async (step, exitCode) => {
   try {
-    console.log('\n============================');
-    console.log('    Airbnb Data Processor    ');
-    console.log('============================\n');
+    return await step();
+  } catch (error) {
+    throw error.exitCode ? error : cliError(error.message, exitCode);
+  }
+};
 
-    const filePath = await question('Please enter the file name (CSV/ZIP/GZ): ~> ');
+/**
+ * Parses a numeric flag value, rejecting anything that is not a finite number.
+ * @memberof module:CLI
+ * @param {string} flag - The flag name, used in the error message.
+ * @param {string} value - The raw flag value.
+ * @returns {number} - The parsed number.
+ */
+const parseNumericFlag = (flag, value) => {
+  const num = Number(value);
+  if (value.trim() === '' || !Number.isFinite(num)) {
+    throw cliError(`--${flag} expects a number, got "${value}".`, EXIT_CODES.USAGE_ERROR);
+  }
+  return num;
+};
 
-    console.log('\nLoading data...');
-    const handler = AirBnBDataHandler(filePath);
+/**
+ * Parses the --port flag, a TCP port number (0 picks a free port).
+ * @memberof module:CLI
+ * @param {string} value - The raw flag value.
+ * @returns {number} - The port.
+ */
+const parsePortFlag = (value) => {
+  const port = parseNumericFlag('port', value);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw cliError(`--port expects a port number between 0 and 65535, got "${value}".`, EXIT_CODES.USAGE_ERROR);
+  }
+  return port;
+};
+
+/**
+ * Reads the profile named by --profile from the profiles file.
+ * @memberof module:CLI
+ * @param {string} name - The profile name.
+ * @param {string} [configPath] - The profiles file given with --config.
+ * @returns {Object} - The profile, see {@link module:Profiles.validateProfile}.
+ */
+const readProfile = (name, configPath) => {
+  try {
+    return getProfile(loadProfiles(configPath), name);
+  } catch (error) {
+    throw cliError(error.message, EXIT_CODES.USAGE_ERROR);
+  }
+};
 
-    await handler.loadData();
-    console.log(`\nLoaded ${handler.getData().length} listings.\n`);
+const definedOnly = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
 
-    console.log('Applying filters...');
-    handler
-      .filterListings({
-        minPrice: parseFloat(await question('Enter minimum price (or press Enter to skip): ~> ')) || undefined,
-        maxPrice: parseFloat(await question('Enter maximum price (or press Enter to skip): ~> ')) || undefined,
-        minRooms: parseInt(await question('Enter minimum number of rooms (or press Enter to skip): ~> '), 10) || undefined,
-        maxRooms: parseInt(await question('Enter maximum number of rooms (or press Enter to skip): ~> '), 10) || undefined,
-        minReviewScore: parseFloat(await question('Enter minimum review score (or press Enter to skip): ~> ')) || undefined,
-        maxReviewScore: parseFloat(await question('Enter maximum review score (or press Enter to skip): ~> ')) || undefined
-      })
-      .computeStatistics()
-      .computeHostRanking();
+const splitList = (value) => value.split(',').map((item) => item.trim()).filter(Boolean);
 
-    console.log('\n============================');
-    console.log('     Filtered Listings       ');
-    console.log('============================');
-    console.log(`\nFiltered ${handler.getFilteredData().length} listings based on your criteria.\n`);
+/**
+ * Reads a JSON flag value, either inline or from `@path/to/file.json`.
+ * @memberof module:CLI
+ * @param {string} flag - The flag name, used in the error message.
+ * @param {string} value - The raw flag value.
+ * @returns {*} - The parsed JSON.
+ */
+const parseJsonFlag = (flag, value) => {
+  try {
+    return JSON.parse(value.startsWith('@') ? readFileSync(value.slice(1), 'utf8') : value);
+  } catch (error) {
+    throw cliError(`--${flag} expects JSON: ${error.message}`, EXIT_CODES.USAGE_ERROR);
+  }
+};
 
-    console.log('*********');
-    console.log('Filtered Listings (ID and Price):');
-    handler.getFilteredData().slice(0, 10).forEach(listing => {
-      console.log(`  - ID: ${listing.id}, Price: $${listing.price}`);
+/**
+ * Checks a currency code given on the command line.
+ * @memberof module:CLI
+ * @param {string} flag - The flag name, used in the error message.
+ * @param {string} [value] - The raw flag value.
+ * @returns {string|undefined} - The upper-cased code.
+ */
+const parseCurrencyFlag = (flag, value) => {
+  if (value === undefined) return undefined;
+  const code = value.trim().toUpperCase();
+  if (!Intl.supportedValuesOf('currency').includes(code)) {
+    throw cliError(`--${flag} expects an ISO 4217 currency code, got "${value}".`, EXIT_CODES.USAGE_ERROR);
+  }
+  return code;
+};
+
+/**
+ * Checks the price options, including those of a profile, before any file is read: the locale must be
+ * a valid tag, and a conversion needs a rate for the source and the reporting currency.
+ * @memberof module:CLI
+ * @param {Object} prices - Price options, as accepted by {@link module:AirBnBDataHandler}.
+ */
+const checkPriceOptions = ({ locale, currency, reportingCurrency, rates }) => {
+  if (locale !== undefined) {
+    try {
+      Intl.getCanonicalLocales(locale);
+    } catch {
+      throw cliError(`--locale expects a locale tag such as de-DE, got "${locale}".`, EXIT_CODES.USAGE_ERROR);
+    }
+  }
+  if (rates !== undefined && (typeof rates !== 'object' || rates === null || Object.values(rates).some((rate) => typeof rate !== 'number'))) {
+    throw cliError('--rates expects an object of currency codes to numbers.', EXIT_CODES.USAGE_ERROR);
+  }
+  const source = currency || RATES_BASE;
+  if (!reportingCurrency || source === reportingCurrency) return;
+  const missing = [source, reportingCurrency].filter((code) => !Number.isFinite(exchangeRate(code, rates)));
+  if (missing.length > 0) {
+    throw cliError(
+      `--rates has no rate for ${missing.join(', ')}. Rates are the value of one unit in ${RATES_BASE}, which counts as 1 unless listed.`,
+      EXIT_CODES.USAGE_ERROR
+    );
+  }
+};
+
+/**
+ * Turns command-line arguments into a normalized set of options.
+ * @memberof module:CLI
+ * @param {string[]} argv - Arguments without the node executable and script path.
+ * @returns {Object} - Input path, criteria, reports and output options.
+ */
+const parseCommandLine = (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw cliError(error.message, EXIT_CODES.USAGE_ERROR);
+  }
+  const { values } = parsed;
+  let { positionals } = parsed;
+
+  if (values.help) {
+    return { help: true };
+  }
+  const command = ['diff', 'serve', 'cache', 'batch', 'profiles'].includes(positionals[0]) ? positionals[0] : 'report';
+  if (command === 'profiles') {
+    if (positionals.length > 1) {
+      throw cliError('profiles takes no arguments.', EXIT_CODES.USAGE_ERROR);
+    }
+    return { command, config: values.config, json: Boolean(values.json), quiet: Boolean(values.quiet) };
+  }
+  if (command === 'cache') {
+    const [, action, ...targets] = positionals;
+    if (!CACHE_ACTIONS.includes(action)) {
+      throw cliError(`cache expects one of: ${CACHE_ACTIONS.join(', ')}.`, EXIT_CODES.USAGE_ERROR);
+    }
+    if ((action === 'inspect' && targets.length !== 1) || (action === 'list' && targets.length > 0)) {
+      throw cliError(action === 'inspect' ? 'cache inspect expects one file or cache key.' : 'cache list takes no arguments.', EXIT_CODES.USAGE_ERROR);
+    }
+    return {
+      command,
+      action,
+      targets,
+      stale: Boolean(values.stale),
+      cacheDir: values['cache-dir'],
+      json: Boolean(values.json),
+      quiet: Boolean(values.quiet),
+    };
+  }
+  if (command === 'serve') {
+    positionals = positionals.slice(1);
+    const unsupported = ['stream', 'reviews', 'calendar', 'from', 'to', 'output', 'json'].find((flag) => values[flag] !== undefined);
+    if (unsupported) {
+      throw cliError(`--${unsupported} cannot be used with serve.`, EXIT_CODES.USAGE_ERROR);
+    }
+    if (values.input) positionals = [values.input, ...positionals];
+  } else if (command === 'batch') {
+    positionals = positionals.slice(1);
+    if (positionals.length === 0 || values.input) {
+      throw cliError('batch expects input files or glob patterns, e.g. \'dumps/*.csv.gz\'.', EXIT_CODES.USAGE_ERROR);
+    }
+    const unsupported = ['stream', 'reviews', 'calendar', 'from', 'to', 'cache-dir', 'no-cache'].find((flag) => values[flag] !== undefined);
+    if (unsupported) {
+      throw cliError(`--${unsupported} cannot be used with batch.`, EXIT_CODES.USAGE_ERROR);
+    }
+  } else if (command === 'diff') {
+    positionals = positionals.slice(1);
+    if (positionals.length !== 2 || values.input) {
+      throw cliError('diff expects two input files: <before> <after>.', EXIT_CODES.USAGE_ERROR);
+    }
+    const unsupported = ['stream', 'reviews', 'calendar', 'from', 'to'].find((flag) => values[flag] !== undefined);
+    if (unsupported) {
+      throw cliError(`--${unsupported} cannot be used with diff.`, EXIT_CODES.USAGE_ERROR);
+    }
+  } else if (positionals.length > 1 || (values.input && positionals.length > 0)) {
+    throw cliError('Only one input file can be given.', EXIT_CODES.USAGE_ERROR);
+  }
+  if ((values.stream || command === 'batch') && values.entry && values.entry.length > 1) {
+    throw cliError(command === 'batch'
+      ? 'batch streams one --entry per .zip file.'
+      : 'Only one --entry can be streamed; load several entries without --stream.', EXIT_CODES.USAGE_ERROR);
+  }
+  const input = values.input || positionals[0];
+  if (!input) {
+    throw cliError('Missing input file.', EXIT_CODES.USAGE_ERROR);
+  }
+  const profile = values.profile !== undefined ? readProfile(values.profile, values.config) : null;
+  const fields = values.fields ? splitList(values.fields) : undefined;
+  const unknownField = fields && fields.find((field) => !Object.hasOwn(SNAPSHOT_FIELDS, field));
+  if (unknownField) {
+    throw cliError(`Unknown diff field "${unknownField}". Choose from: ${Object.keys(SNAPSHOT_FIELDS).join(', ')}.`, EXIT_CODES.USAGE_ERROR);
+  }
+
+  const flagCriteria = Object.entries(CRITERIA_FLAGS).reduce((acc, [key, flag]) => {
+    if (values[flag] !== undefined) {
+      acc[key] = parseNumericFlag(flag, values[flag]);
+    }
+    return acc;
+  }, {});
+  if (values.neighbourhood || values['exclude-neighbourhood']) {
+    flagCriteria.neighbourhood = {
+      in: values.neighbourhood && splitList(values.neighbourhood),
+      notIn: values['exclude-neighbourhood'] && splitList(values['exclude-neighbourhood']),
+    };
+  }
+  if (values['room-type']) flagCriteria.room_type = splitList(values['room-type']);
+  if (values['property-type']) flagCriteria.property_type = splitList(values['property-type']);
+  if (values.superhost) flagCriteria.host_is_superhost = true;
+  if (values['instant-bookable']) flagCriteria.instant_bookable = true;
+  if (values.amenity) flagCriteria.amenities = { contains: values.amenity };
+  if (values.search) flagCriteria.text = values.search;
+
+  let criteria = values.filter ? { and: [flagCriteria, parseJsonFlag('filter', values.filter)] } : flagCriteria;
+  if (profile && Object.keys(profile.criteria).length > 0) {
+    criteria = Object.keys(criteria).length > 0 ? { and: [profile.criteria, criteria] } : profile.criteria;
+  }
+  try {
+    validateCriteria(criteria);
+  } catch (error) {
+    throw cliError(error.message, EXIT_CODES.USAGE_ERROR);
+  }
+
+  const reports = values.reports ? values.reports.split(',').map((report) => report.trim()) : profile?.reports ?? REPORTS;
+  const unknownReport = reports.find((report) => !REPORTS.includes(report));
+  if (unknownReport) {
+    throw cliError(`Unknown report "${unknownReport}". Choose from: ${REPORTS.join(', ')}.`, EXIT_CODES.USAGE_ERROR);
+  }
+
+  const sampleSize = values['sample-size'] !== undefined ? parseNumericFlag('sample-size', values['sample-size']) : 10;
+  if (!Number.isInteger(sampleSize) || sampleSize < 0) {
+    throw cliError(`--sample-size expects a whole number, got "${values['sample-size']}".`, EXIT_CODES.USAGE_ERROR);
+  }
+  const concurrency = values.concurrency !== undefined ? parseNumericFlag('concurrency', values.concurrency) : 2;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw cliError(`--concurrency expects a positive whole number, got "${values.concurrency}".`, EXIT_CODES.USAGE_ERROR);
+  }
+  if (values['on-invalid'] && !INVALID_ROW_POLICIES.includes(values['on-invalid'])) {
+    throw cliError(`Unknown --on-invalid policy "${values['on-invalid']}". Choose from: ${INVALID_ROW_POLICIES.join(', ')}.`, EXIT_CODES.USAGE_ERROR);
+  }
+  if (values.format && !EXPORT_FORMATS.includes(values.format)) {
+    throw cliError(`Unknown export format "${values.format}". Choose from: ${EXPORT_FORMATS.join(', ')}.`, EXIT_CODES.USAGE_ERROR);
+  }
+
+  const rates = values.rates !== undefined ? parseJsonFlag('rates', values.rates) : undefined;
+  const prices = {
+    ...profile?.prices,
+    ...definedOnly({
+      locale: values.locale,
+      currency: parseCurrencyFlag('currency', values.currency),
+      reportingCurrency: parseCurrencyFlag('reporting-currency', values['reporting-currency']),
+      rates,
+    }),
+  };
+  checkPriceOptions(prices);
+
+  ['from', 'to'].forEach((flag) => {
+    if (values[flag] !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(values[flag])) {
+      throw cliError(`--${flag} expects a date as YYYY-MM-DD, got "${values[flag]}".`, EXIT_CODES.USAGE_ERROR);
+    }
+  });
+  const companions = values.reviews || values.calendar || values.from || values.to
+    ? { reviews: values.reviews, calendar: values.calendar, from: values.from, to: values.to }
+    : undefined;
+
+  const groupBy = values['group-by'] ? splitList(values['group-by']) : profile?.groupBy ?? [];
+  if (groupBy.length > 2) {
+    throw cliError('--group-by accepts at most two columns.', EXIT_CODES.USAGE_ERROR);
+  }
+
+  const hostRanking = {
+    ...profile?.hostRanking,
+    sortBy: values['rank-by'],
+    order: values.order,
+    topN: values.top !== undefined ? parseNumericFlag('top', values.top) : undefined,
+    commercialThreshold: values['commercial-threshold'] !== undefined
+      ? parseNumericFlag('commercial-threshold', values['commercial-threshold'])
+      : undefined,
+  };
+  Object.keys(hostRanking).forEach((key) => hostRanking[key] === undefined && delete hostRanking[key]);
+  try {
+    createHostRankingAccumulator(hostRanking);
+  } catch (error) {
+    throw cliError(error.message, EXIT_CODES.USAGE_ERROR);
+  }
+
+  return {
+    command,
+    input,
+    compareWith: command === 'diff' ? positionals[1] : undefined,
+    sources: command === 'serve' ? positionals : undefined,
+    patterns: command === 'batch' ? positionals : undefined,
+    profile,
+    concurrency,
+    port: values.port !== undefined ? parsePortFlag(values.port) : 8080,
+    host: values.host || '127.0.0.1',
+    fields,
+    entry: values.entry,
+    cache: values['no-cache'] ? false : { dir: values['cache-dir'] },
+    companions,
+    onInvalid: values['on-invalid'] ?? profile?.onInvalid,
+    prices,
+    criteria,
+    groupBy,
+    hostRanking,
+    reports,
+    output: values.output ?? profile?.export.output,
+    exportOptions: {
+      format: values.format ?? (values.output ? undefined : profile?.export.format),
+      columns: values.columns ? splitList(values.columns) : profile?.export.columns,
+      gzip: values.gzip || profile?.export.gzip || undefined,
+      hostLimit: profile?.export.hostLimit,
+    },
+    stream: Boolean(values.stream),
+    sampleSize,
+    json: Boolean(values.json),
+    quiet: Boolean(values.quiet),
+  };
+};
+
+/**
+ * Prints the data-quality report produced while loading.
+ * @memberof module:CLI
+ * @param {Object} report - The report returned by `getDataQualityReport()`.
+ */
+const printDataQualityReport = (report) => {
+  console.log('\n============================');
+  console.log('       Data Quality          ');
+  console.log('============================');
+  console.log(`Rows: ${report.totalRows} | Valid: ${report.validRows} | Invalid: ${report.invalidRows} (policy: ${report.policy})`);
+  if (report.missingColumns.length > 0) {
+    console.log(`Missing columns: ${report.missingColumns.join(', ')}`);
+  }
+  if (report.duplicateIds.count > 0) {
+    console.log(`Duplicate listing IDs: ${report.duplicateIds.count} (e.g. ${report.duplicateIds.examples.slice(0, 3).join(', ')})`);
+  }
+  const problemColumns = Object.entries(report.columns).filter(([, counts]) => counts.nulls > 0 || counts.invalid > 0);
+  if (problemColumns.length > 0) {
+    console.log(formatTable(['column', 'nulls', 'invalid'], problemColumns.map(([column, counts]) => [column, counts.nulls, counts.invalid])));
+  }
+  if (report.examples.length > 0) {
+    console.log('Example bad rows:');
+    report.examples.slice(0, 5).forEach((example) => {
+      console.log(`  - Row ${example.row} (ID: ${example.id ?? 'n/a'}): ${example.errors.join('; ')}`);
     });
-    if (handler.getFilteredData().length > 10) {
-      console.log(`  ...and ${handler.getFilteredData().length - 10} more listings.`);
+  }
+};
+
+/**
+ * Prints the first filtered listings (ID and price).
+ * @memberof module:CLI
+ * @param {Object[]} listings - The filtered listings.
+ * @param {number} [totalCount=listings.length] - Total number of matches, when `listings` is a sample.
+ */
+const printFilteredListings = (listings, totalCount = listings.length) => {
+  console.log('\n============================');
+  console.log('     Filtered Listings       ');
+  console.log('============================');
+  console.log(`\nFiltered ${totalCount} listings based on your criteria.\n`);
+
+  console.log('*********');
+  console.log('Filtered Listings (ID and Price):');
+  listings.slice(0, 10).forEach(listing => {
+    console.log(`  - ID: ${listing.id}, Price: $${listing.price}`);
+  });
+  if (totalCount > 10) {
+    console.log(`  ...and ${totalCount - 10} more listings.`);
+  }
+  console.log('*********\n');
+};
+
+/**
+ * Formats rows as a plain-text table; numbers are right-aligned, text left-aligned.
+ * Null and undefined cells print as `-`.
+ * @memberof module:CLI
+ * @param {string[]} headers - Column headers.
+ * @param {Array[]} rows - Table rows.
+ * @returns {string} - The table.
+ */
+const formatTable = (headers, rows) => {
+  const cells = [headers, ...rows].map((row) => row.map((cell) => (cell === null || cell === undefined ? '-' : String(cell))));
+  const widths = headers.map((_, index) => Math.max(...cells.map((row) => row[index].length)));
+  const isNumeric = (cell) => /^[-+]?[\d.,]+%?$/.test(cell) || cell === '-';
+  const line = (row) => `  ${row.map((cell, index) => (isNumeric(cell) ? cell.padStart(widths[index]) : cell.padEnd(widths[index]))).join('  ').trimEnd()}`;
+  return [line(cells[0]), `  ${widths.map((width) => '-'.repeat(width)).join('  ')}`, ...cells.slice(1).map(line)].join('\n');
+};
+
+/**
+ * Formats an amount with its currency code, or with `$` when the currency is unknown.
+ * @memberof module:CLI
+ * @param {number|string|null} amount - The amount.
+ * @param {string|null} currency - The currency code.
+ * @returns {string} - The formatted amount, or `n/a`.
+ */
+const formatMoney = (amount, currency) => {
+  if (amount === null || amount === undefined) return 'n/a';
+  return currency && currency !== 'mixed' ? `${amount} ${currency}` : `$${amount}`;
+};
+
+/**
+ * Prints the computed statistics.
+ * @memberof module:CLI
+ * @param {Object} stats - The statistics returned by `getStatistics()`.
+ */
+const printStatistics = (stats) => {
+  console.log('\n============================');
+  console.log('        Statistics           ');
+  console.log('============================');
+  console.log(`Total Listings: ${stats.totalListings}`);
+  console.log(`Average Price per Room: ${formatMoney(stats.averagePricePerRoom, stats.currency)}`);
+  console.log(`Currency: ${stats.currency === 'mixed' ? `mixed (${stats.currencies.join(', ')})` : stats.currency || 'unknown'}\n`);
+
+  if (stats.metrics && stats.totalListings > 0) {
+    const columns = ['count', 'mean', 'median', 'min', 'p10', 'p25', 'p75', 'p90', 'max', 'stdDev', 'outliers'];
+    console.log(formatTable(
+      ['metric', ...columns],
+      Object.entries(stats.metrics)
+        .filter(([, summary]) => summary.count > 0)
+        .map(([metric, summary]) => [metric, ...columns.map((column) => summary[column])])
+    ));
+    console.log();
+  }
+
+  if (stats.groups) {
+    console.log(`Breakdown by ${stats.groupBy.join(' / ')}:`);
+    console.log(formatTable(
+      ['group', 'listings', 'median price', 'mean price', 'p25 price', 'p75 price', 'mean review'],
+      flattenGroups(stats).map(({ label, group }) => [
+        label,
+        group.totalListings,
+        group.metrics.price.median,
+        group.metrics.price.mean,
+        group.metrics.price.p25,
+        group.metrics.price.p75,
+        group.metrics.reviewScore.mean,
+      ])
+    ));
+    console.log();
+  }
+};
+
+/**
+ * Prints the top hosts with their portfolio metrics. Likely commercial operators are marked with `*`.
+ * @memberof module:CLI
+ * @param {Object[]} hostRanking - The ranking returned by `getHostRanking()`.
+ * @param {number} [limit=5] - Number of hosts to print.
+ */
+const printHostRanking = (hostRanking, limit = 5) => {
+  console.log('============================');
+  console.log('       Host Ranking          ');
+  console.log('============================');
+  if (hostRanking.length > 0) {
+    const hosts = hostRanking.slice(0, limit);
+    const joined = hosts.some((host) => host.averageOccupancyRate !== null);
+    console.log(formatTable(
+      [
+        '#', 'host', 'listings', 'revenue/night', 'avg price', 'avg review', 'entire home', 'areas', 'superhost',
+        ...(joined ? ['est. revenue/month', 'occupancy'] : []),
+        'flags',
+      ],
+      hosts.map((host) => [
+        host.rank,
+        `${host.hostName}${host.isLikelyCommercial ? ' *' : ''}`,
+        host.listingsCount,
+        host.totalNightlyRevenue,
+        host.averagePrice,
+        host.averageReviewScore,
+        `${Math.round(host.entireHomeShare * 100)}%`,
+        host.neighbourhoodsCount,
+        host.isSuperhost ? 'yes' : 'no',
+        ...(joined ? [
+          host.totalEstimatedMonthlyRevenue,
+          host.averageOccupancyRate === null ? null : `${Math.round(host.averageOccupancyRate * 100)}%`,
+        ] : []),
+        host.flags.join(', '),
+      ])
+    ));
+    if (hostRanking.length > limit) {
+      console.log(`  ...and ${hostRanking.length - limit} more hosts.`);
     }
-    console.log('*********\n');
+  } else {
+    console.log('No host data available for ranking.');
+  }
+};
 
-    console.log('Computing statistics...');
-    const stats = handler.getStatistics();
+/**
+ * Prints a snapshot comparison: listing changes, statistics changes and host portfolio changes.
+ * @memberof module:CLI
+ * @param {Object} diff - The comparison returned by {@link module:Snapshots.compareSnapshots}.
+ * @param {string[]} reports - Reports to print, see {@link module:Profiles.REPORTS}.
+ * @param {number} [limit=10] - Number of listings and hosts to print.
+ */
+const printSnapshotDiff = (diff, reports, limit = 10) => {
+  const signed = (value) => (value > 0 ? `+${value}` : value);
+  const { summary } = diff;
+
+  if (reports.includes('quality')) {
+    ['before', 'after'].forEach((snapshot) => {
+      const report = diff.quality[snapshot];
+      console.log(`Data quality (${snapshot}): ${report.validRows} of ${report.totalRows} rows valid (policy: ${report.policy})`);
+    });
+  }
+
+  if (reports.includes('listings')) {
     console.log('\n============================');
-    console.log('        Statistics           ');
+    console.log('      Listing Changes        ');
     console.log('============================');
-    console.log(`Total Listings: ${stats.totalListings}`);
-    console.log(`Average Price per Room: $${stats.averagePricePerRoom}\n`);
+    console.log(`Listings: ${summary.listingsBefore} -> ${summary.listingsAfter} | Added: ${summary.added} | Removed: ${summary.removed} | Changed: ${summary.changed}\n`);
+    const { added, removed, changed } = diff.listings;
+    const rows = [
+      ...added.map((listing) => ['added', listing.id, listing.name, '']),
+      ...removed.map((listing) => ['removed', listing.id, listing.name, '']),
+      ...changed.map((listing) => [
+        'changed',
+        listing.id,
+        listing.name,
+        [
+          ...(listing.match === 'both' ? [] : [listing.match === 'after' ? 'now matches the criteria' : 'no longer matches the criteria']),
+          ...Object.entries(listing.changes).map(([field, { before, after }]) => `${field}: ${before ?? '-'} -> ${after ?? '-'}`),
+        ].join('; '),
+      ]),
+    ];
+    if (rows.length > 0) {
+      console.log(formatTable(['change', 'id', 'name', 'details'], rows.slice(0, limit)));
+      if (rows.length > limit) {
+        console.log(`  ...and ${rows.length - limit} more changes.`);
+      }
+    }
+  }
 
+  if (reports.includes('statistics')) {
+    console.log('\n============================');
+    console.log('     Statistics Changes      ');
     console.log('============================');
-    console.log('       Host Ranking          ');
+    const { totalListings } = diff.statistics;
+    console.log(`Total Listings: ${totalListings.before} -> ${totalListings.after} (${signed(totalListings.change)})`);
+    console.log(`Currency: ${diff.metadata.currency || 'unknown'}\n`);
+    console.log(formatTable(
+      ['metric', 'mean before', 'mean after', 'change', 'median before', 'median after', 'change', 'change %'],
+      Object.entries(diff.statistics.metrics)
+        .filter(([, stats]) => stats.count.before > 0 || stats.count.after > 0)
+        .map(([metric, { mean, median }]) => [
+          metric, mean.before, mean.after, signed(mean.change),
+          median.before, median.after, signed(median.change),
+          median.percentChange === null ? null : `${signed(median.percentChange)}%`,
+        ])
+    ));
+    if (diff.statistics.groups) {
+      console.log(`\nChanges by ${diff.statistics.groupBy.join(' / ')}:`);
+      console.log(formatTable(
+        ['group', 'listings before', 'listings after', 'change', 'median price before', 'median price after'],
+        Object.entries(diff.statistics.groups).map(([label, group]) => [
+          label,
+          group.totalListings.before,
+          group.totalListings.after,
+          signed(group.totalListings.change),
+          group.medianPrice.before,
+          group.medianPrice.after,
+        ])
+      ));
+    }
+  }
+
+  if (reports.includes('hosts')) {
+    console.log('\n============================');
+    console.log('  Host Portfolio Changes     ');
     console.log('============================');
-    const hostRanking = handler.getHostRanking();
-    if (hostRanking.length > 0) {
-      hostRanking.slice(0, 5).forEach((host, index) => {
-        console.log(`  ${index + 1}. Host: ${host.hostName} | Listings: ${host.listingsCount}`);
-      });
-      if (hostRanking.length > 5) {
-        console.log(`  ...and ${hostRanking.length - 5} more hosts.`);
+    console.log(`Grew: ${summary.hostsGrew} | Shrank: ${summary.hostsShrank}`);
+    if (diff.hosts.length > 0) {
+      console.log(formatTable(
+        ['host', 'status', 'listings before', 'listings after', 'change'],
+        diff.hosts.slice(0, limit).map((host) => [
+          host.hostName,
+          host.status,
+          host.listingsCount.before,
+          host.listingsCount.after,
+          signed(host.listingsCount.change),
+        ])
+      ));
+      if (diff.hosts.length > limit) {
+        console.log(`  ...and ${diff.hosts.length - limit} more hosts.`);
       }
+    }
+  }
+};
+
+/**
+ * Prints the cross-city comparison of a batch run and the files that failed.
+ * @memberof module:CLI
+ * @param {Object} report - The report returned by {@link module:Batch.runBatch}.
+ * @param {string[]} reports - Reports to print, see {@link module:Profiles.REPORTS}.
+ */
+const printBatchReport = (report, reports) => {
+  const { metadata, comparison, failures } = report;
+  console.log('\n============================');
+  console.log('      City Comparison        ');
+  console.log('============================');
+  console.log(`Profile: ${metadata.profile ?? 'none'} | Files: ${metadata.files} | Succeeded: ${metadata.succeeded} | Failed: ${metadata.failed}\n`);
+
+  const rows = comparison.filter((row) => row.status === 'ok');
+  if (rows.length > 0) {
+    const statistics = reports.includes('statistics');
+    const hosts = reports.includes('hosts');
+    console.log(formatTable(
+      [
+        'city', 'listings', 'matched', 'matched %',
+        ...(statistics ? ['currency', 'median price', 'mean price', 'p25', 'p75', 'mean review'] : []),
+        ...(hosts ? ['hosts', 'commercial %', 'top host', 'top host listings'] : []),
+      ],
+      rows.map((row) => [
+        row.city, row.listings, row.matched, row.matchedShare,
+        ...(statistics ? [row.currency, row.medianPrice, row.meanPrice, row.p25Price, row.p75Price, row.meanReviewScore] : []),
+        ...(hosts ? [row.hosts, row.commercialHostShare, row.topHost, row.topHostListings] : []),
+      ])
+    ));
+  }
+  if (failures.length > 0) {
+    console.log('\nFailed files:');
+    failures.forEach((failure) => console.log(`  - ${failure.file}: ${failure.error}`));
+  }
+};
+
+/**
+ * Creates a progress reporter for --stream that writes to stderr, on one updating line in a terminal.
+ * @memberof module:CLI
+ * @returns {function(Object): void} - Receives the progress of `processStream`.
+ */
+const createProgressPrinter = () => {
+  const interactive = process.stderr.isTTY;
+  let printedRows = -1;
+  return ({ rowsProcessed, matchedListings, bytesProcessed, totalBytes }) => {
+    if (rowsProcessed === printedRows) return;
+    printedRows = rowsProcessed;
+    const read = totalBytes
+      ? `${formatBytes(bytesProcessed)} of ${formatBytes(totalBytes)} (${Math.floor((bytesProcessed / totalBytes) * 100)}%)`
+      : formatBytes(bytesProcessed);
+    const line = `Processed ${rowsProcessed} rows, ${matchedListings} matching, ${read} read`;
+    process.stderr.write(interactive ? `\r${line}\x1b[K` : `${line}\n`);
+  };
+};
+
+/**
+ * Runs the whole pipeline from parsed command-line options, without prompting.
+ * @memberof module:CLI
+ * @param {Object} options - Options returned by {@link module:CLI.parseCommandLine}.
+ * @returns {Promise<number>} - The exit code.
+ */
+const runCommand = async (options) => {
+  const log = options.quiet || options.json ? () => {} : console.log;
+  const handler = AirBnBDataHandler(options.input, options.prices);
+  const load = (step) => step().catch((error) => {
+    throw error.report ? cliError(error.message, EXIT_CODES.DATA_QUALITY_ERROR) : error;
+  });
+
+  if (options.stream) {
+    const onProgress = options.quiet || options.json ? undefined : createProgressPrinter();
+    await withExitCode(
+      () => load(() => handler.processStream({
+        criteria: options.criteria,
+        groupBy: options.groupBy,
+        hostRanking: options.hostRanking,
+        sampleSize: options.sampleSize,
+        entry: options.entry?.[0],
+        companions: options.companions,
+        onInvalid: options.onInvalid,
+        onProgress,
+      })),
+      EXIT_CODES.INPUT_ERROR
+    ).finally(() => onProgress && process.stderr.isTTY && process.stderr.write('\n'));
+  } else {
+    await withExitCode(
+      () => load(() => handler.loadData({ entries: options.entry, onInvalid: options.onInvalid, cache: options.cache })),
+      EXIT_CODES.INPUT_ERROR
+    );
+    const loadedCompanion = Object.keys(handler.getDatasets())
+      .slice(1)
+      .some((name) => /(^|\/)(reviews|calendar)\.csv$/.test(name));
+    if (options.companions || loadedCompanion) {
+      await withExitCode(() => handler.joinCompanions(options.companions), EXIT_CODES.INPUT_ERROR);
+    }
+    log(`Loaded ${handler.getData().length} listings${handler.getCacheInfo()?.hit ? ' (from cache)' : ''}.`);
+    // Prices are converted here, so a currency in the file without a rate is an input error.
+    await withExitCode(
+      () => handler
+        .filterListings(options.criteria)
+        .computeStatistics({ groupBy: options.groupBy })
+        .computeHostRanking(options.hostRanking),
+      EXIT_CODES.INPUT_ERROR
+    );
+  }
+
+  const results = {
+    quality: handler.getDataQualityReport(),
+    listings: handler.getFilteredData(),
+    statistics: handler.getStatistics(),
+    hosts: handler.getHostRanking(),
+  };
+
+  if (options.json) {
+    const report = options.reports.reduce((acc, name) => ({ ...acc, [name]: results[name] }), {});
+    process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  } else if (!options.quiet) {
+    if (options.reports.includes('quality')) {
+      printDataQualityReport(results.quality);
+    }
+    if (options.reports.includes('listings')) {
+      printFilteredListings(results.listings, results.statistics.totalListings);
+    }
+    if (options.reports.includes('statistics')) {
+      printStatistics(results.statistics);
+    }
+    if (options.reports.includes('hosts')) {
+      printHostRanking(results.hosts);
+    }
+  }
+
+  if (options.output) {
+    await withExitCode(() => handler.exportResults(options.output, options.exportOptions), EXIT_CODES.OUTPUT_ERROR);
+    log(`\nResults successfully exported to ${options.output}`);
+  }
+
+  return EXIT_CODES.OK;
+};
+
+/**
+ * Compares two dumps from parsed command-line options, without prompting.
+ * @memberof module:CLI
+ * @param {Object} options - Options returned by {@link module:CLI.parseCommandLine}.
+ * @returns {Promise<number>} - The exit code.
+ */
+const runDiff = async (options) => {
+  const diff = await withExitCode(
+    () => compareSnapshots(options.input, options.compareWith, {
+      criteria: options.criteria,
+      groupBy: options.groupBy,
+      hostRanking: options.hostRanking,
+      fields: options.fields,
+      entries: options.entry,
+      onInvalid: options.onInvalid,
+      cache: options.cache,
+      prices: options.prices,
+    }).catch((error) => {
+      throw error.report ? cliError(error.message, EXIT_CODES.DATA_QUALITY_ERROR) : error;
+    }),
+    EXIT_CODES.INPUT_ERROR
+  );
+
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(diff, null, 2)}\n`);
+  } else if (!options.quiet) {
+    printSnapshotDiff(diff, options.reports);
+  }
+
+  if (options.output) {
+    await withExitCode(() => writeDiffExport(options.output, diff, options.exportOptions), EXIT_CODES.OUTPUT_ERROR);
+    if (!options.quiet && !options.json) {
+      console.log(`\nComparison successfully exported to ${options.output}`);
+    }
+  }
+
+  return EXIT_CODES.OK;
+};
+
+/**
+ * Applies the options (usually a profile) to every input file and prints or exports the comparison.
+ * @memberof module:CLI
+ * @param {Object} options - Options returned by {@link module:CLI.parseCommandLine}.
+ * @returns {Promise<number>} - The exit code: partial failure when some files failed, input error when all did.
+ */
+const runBatchCommand = async (options) => {
+  const log = options.quiet || options.json ? () => {} : console.log;
+  const report = await withExitCode(
+    () => runBatch(options.patterns, {
+      name: options.profile?.name,
+      description: options.profile?.description,
+      criteria: options.criteria,
+      reports: options.reports,
+      groupBy: options.groupBy,
+      hostRanking: options.hostRanking,
+      prices: options.prices,
+      onInvalid: options.onInvalid,
+    }, {
+      concurrency: options.concurrency,
+      entries: options.entry,
+      hostLimit: options.exportOptions.hostLimit,
+      onResult: (result) => log(result.status === 'ok'
+        ? `Processed ${result.city}: ${result.matchedListings} of ${result.totalListings} listings matched.`
+        : `Failed ${result.city}: ${result.error}`),
+    }),
+    EXIT_CODES.INPUT_ERROR
+  );
+
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  } else if (!options.quiet) {
+    printBatchReport(report, options.reports);
+  }
+
+  if (options.output) {
+    await withExitCode(() => writeBatchExport(options.output, report, options.exportOptions), EXIT_CODES.OUTPUT_ERROR);
+    log(`\nComparison successfully exported to ${options.output}`);
+  }
+
+  if (report.metadata.failed === 0) return EXIT_CODES.OK;
+  return report.metadata.succeeded === 0 ? EXIT_CODES.INPUT_ERROR : EXIT_CODES.PARTIAL_FAILURE;
+};
+
+/**
+ * Lists the analysis profiles of the profiles file.
+ * @memberof module:CLI
+ * @param {Object} options - Options returned by {@link module:CLI.parseCommandLine}.
+ * @returns {Promise<number>} - The exit code.
+ */
+const runProfiles = async (options) => {
+  let profiles;
+  try {
+    profiles = loadProfiles(options.config);
+  } catch (error) {
+    throw cliError(error.message, EXIT_CODES.INPUT_ERROR);
+  }
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(profiles, null, 2)}\n`);
+  } else if (!options.quiet) {
+    const entries = Object.values(profiles);
+    console.log(entries.length === 0
+      ? 'No profiles are defined.'
+      : formatTable(
+        ['profile', 'reports', 'export', 'description'],
+        entries.map((profile) => [profile.name, profile.reports.join(','), profile.export.format ?? profile.export.output, profile.description])
+      ));
+  }
+  return EXIT_CODES.OK;
+};
+
+/**
+ * Loads the files and serves them over HTTP until the process is interrupted.
+ * @memberof module:CLI
+ * @param {Object} options - Options returned by {@link module:CLI.parseCommandLine}.
+ * @returns {Promise<number>} - The exit code, once the server has closed.
+ */
+const runServe = async (options) => {
+  const log = options.quiet ? () => {} : console.log;
+  const load = () => startServer(options.sources, {
+    host: options.host,
+    port: options.port,
+    prices: options.prices,
+    entries: options.entry,
+    onInvalid: options.onInvalid,
+    cache: options.cache,
+  }).catch((error) => {
+    if (error.report) throw cliError(error.message, EXIT_CODES.DATA_QUALITY_ERROR);
+    if (error.syscall === 'listen') throw cliError(`Could not start the server: ${error.message}`, EXIT_CODES.SERVER_ERROR);
+    throw error;
+  });
+  const { server, datasets, url } = await withExitCode(load, EXIT_CODES.INPUT_ERROR);
+
+  [...datasets.values()].forEach(({ name, filePath, handler }) => {
+    log(`Loaded ${handler.getData().length} listings from ${filePath} as "${name}"${handler.getCacheInfo()?.hit ? ' (from cache)' : ''}.`);
+  });
+  log(`Serving on ${url} (press Ctrl+C to stop)`);
+
+  await new Promise((resolve) => {
+    const stop = () => {
+      server.close(resolve);
+      server.closeIdleConnections();
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  });
+  log('Server stopped.');
+  return EXIT_CODES.OK;
+};
+
+/**
+ * Formats a byte count for display.
+ * @memberof module:CLI
+ * @param {number} bytes - The size in bytes.
+ * @returns {string} - The size, e.g. `1.4 MB`.
+ */
+const formatBytes = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log(Math.max(bytes, 1)) / Math.log(1024)), units.length - 1);
+  return `${(bytes / 1024 ** exponent).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+};
+
+/**
+ * Lists, inspects or clears the parsed dataset cache.
+ * @memberof module:CLI
+ * @param {Object} options - Options returned by {@link module:CLI.parseCommandLine}.
+ * @returns {Promise<number>} - The exit code.
+ */
+const runCache = async (options) => {
+  const dir = options.cacheDir;
+  const log = options.quiet && !options.json ? () => {} : console.log;
+  const print = (value, text) => (options.json ? process.stdout.write(`${JSON.stringify(value, null, 2)}\n`) : log(text()));
+
+  if (options.action === 'list') {
+    const entries = await listCacheEntries({ dir });
+    print(entries, () => (entries.length === 0
+      ? `No cached datasets in ${resolveCacheDir(dir)}.`
+      : `Cached datasets in ${resolveCacheDir(dir)}:\n${formatTable(
+        ['key', 'source', 'entries', 'rows', 'cache size', 'status', 'last used'],
+        entries.map((entry) => [
+          entry.key,
+          entry.sourcePath,
+          entry.entries.join(', '),
+          Object.values(entry.datasets)[0]?.rows,
+          formatBytes(entry.cacheSize),
+          entry.status,
+          entry.lastUsedAt,
+        ])
+      )}`));
+    return EXIT_CODES.OK;
+  }
+
+  if (options.action === 'inspect') {
+    const entries = await findCacheEntries(options.targets[0], { dir });
+    if (entries.length === 0) {
+      throw cliError(`No cached dataset for ${options.targets[0]}.`, EXIT_CODES.INPUT_ERROR);
+    }
+    print(entries, () => entries.map((entry) => [
+      `Key: ${entry.key}`,
+      `Source: ${entry.sourcePath}${entry.entries.length > 0 ? ` (entries: ${entry.entries.join(', ')})` : ''}`,
+      `Status: ${entry.status}`,
+      `Source size: ${formatBytes(entry.size)}, modified ${new Date(entry.mtimeMs).toISOString()}`,
+      `SHA-256: ${entry.hash}`,
+      `Cache size: ${formatBytes(entry.cacheSize)}`,
+      `Created: ${entry.createdAt} | Last used: ${entry.lastUsedAt}`,
+      formatTable(
+        ['dataset', 'rows', 'columns'],
+        Object.entries(entry.datasets).map(([name, dataset]) => [name, dataset.rows, dataset.columns.length])
+      ),
+    ].join('\n')).join('\n\n'));
+    return EXIT_CODES.OK;
+  }
+
+  const removed = await clearCache({ targets: options.targets, staleOnly: options.stale, dir });
+  print(removed.map((entry) => entry.key), () => `Removed ${removed.length} cached dataset${removed.length === 1 ? '' : 's'}.`);
+  return EXIT_CODES.OK;
+};
+
+/**
+ * Runs the interactive wizard.
+ * Utilizes Method Chaining for better readability and flow.
+ * @memberof module:CLI
+ */
+const runInteractive = async () => {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  /**
+   * Promisified version of readline.question for easier async/await usage.
+   * @memberof module:CLI
+   * @param {string} query - The question to prompt the user.
+   * @returns {Promise<string>} - A promise that resolves to the user's input.
+   */
+  const question = (query) => new Promise((resolve) => rl.question(query, resolve));
+
+  /**
+   * Parses a numeric answer; blank or non-numeric answers skip the criterion, while `0` is kept.
+   * @memberof module:CLI
+   * @param {string} answer - The user's input.
+   * @returns {number|undefined} - The number, or undefined to skip.
+   */
+  const parseAnswer = (answer) => {
+    const num = parseFloat(answer);
+    return Number.isFinite(num) ? num : undefined;
+  };
+
+  try {
+    console.log('\n============================');
+    console.log('    Airbnb Data Processor    ');
+    console.log('============================\n');
+
+    const filePath = await question('Please enter the file name (CSV/ZIP/GZ): ~> ');
+
+    const profiles = existsSync(DEFAULT_CONFIG_FILE) ? loadProfiles() : {};
+    const profileName = Object.keys(profiles).length > 0
+      ? (await question(`Apply a saved profile (${Object.keys(profiles).join(', ')}) (or press Enter to choose filters): ~> `)).trim()
+      : '';
+    const profile = profileName ? getProfile(profiles, profileName) : null;
+
+    console.log('\nLoading data...');
+    const handler = AirBnBDataHandler(filePath, profile?.prices);
+
+    await handler.loadData({ cache: true, onInvalid: profile?.onInvalid });
+    console.log(`\nLoaded ${handler.getData().length} listings.`);
+    printDataQualityReport(handler.getDataQualityReport());
+    console.log();
+
+    console.log('Applying filters...');
+    if (profile) {
+      handler
+        .filterListings(profile.criteria)
+        .computeStatistics({ groupBy: profile.groupBy })
+        .computeHostRanking(profile.hostRanking);
     } else {
-      console.log('No host data available for ranking.');
+      handler
+        .filterListings({
+          minPrice: parseAnswer(await question('Enter minimum price (or press Enter to skip): ~> ')),
+          maxPrice: parseAnswer(await question('Enter maximum price (or press Enter to skip): ~> ')),
+          minRooms: parseAnswer(await question('Enter minimum number of rooms (or press Enter to skip): ~> ')),
+          maxRooms: parseAnswer(await question('Enter maximum number of rooms (or press Enter to skip): ~> ')),
+          minReviewScore: parseAnswer(await question('Enter minimum review score (or press Enter to skip): ~> ')),
+          maxReviewScore: parseAnswer(await question('Enter maximum review score (or press Enter to skip): ~> '))
+        })
+        .computeStatistics({
+          groupBy: splitList(await question('Group statistics by up to two columns, e.g. neighbourhood_cleansed,room_type (or press Enter to skip): ~> ')).slice(0, 2)
+        })
+        .computeHostRanking({
+          sortBy: (await question(`Rank hosts by (${HOST_RANKING_METRICS.join(', ')}) (or press Enter for listingsCount): ~> `)).trim() || undefined
+        });
     }
 
+    printFilteredListings(handler.getFilteredData());
+
+    console.log('Computing statistics...');
+    printStatistics(handler.getStatistics());
+    printHostRanking(handler.getHostRanking());
+
     console.log('\n============================');
     console.log('         Export Data         ');
     console.log('============================');
     const exportChoice = await question('Would you like to export the results? (yes/no) ~> ');
     if (exportChoice.toLowerCase() === 'yes') {
-      const exportFilePath = await question('Enter the output file name (e.g., results.json): ~> ');
-      await handler.exportResults(exportFilePath);
+      const exportFilePath = await question('Enter the output file name (e.g., results.json, listings.csv.gz, report.html): ~> ');
+      const detected = detectFormat(exportFilePath);
+      const defaultFormat = profile?.export.format || detected.format;
+      const format = (await question(`Choose the export format (${EXPORT_FORMATS.join('/')}) (or press Enter for ${defaultFormat}): ~> `)).trim() || defaultFormat;
+      const columns = ['csv', 'ndjson', 'json'].includes(format) && !profile?.export.columns
+        ? splitList(await question('Enter the columns to export, comma-separated (or press Enter for all): ~> '))
+        : profile?.export.columns;
+      await handler.exportResults(exportFilePath, { format, columns, gzip: profile?.export.gzip, hostLimit: profile?.export.hostLimit });
       console.log(`\nResults successfully exported to ${exportFilePath}`);
     } else {
       console.log('Results not exported.');
@@ -112,4 +1258,40 @@ const main = async () => {
   }
 };
 
-main();
\ No newline at end of file
+/**
+ * Main function to run the CLI application.
+ * Starts the interactive wizard when no arguments are given, otherwise runs non-interactively
+ * and sets the process exit code.
+ * @memberof module:CLI
+ * @param {string[]} [argv=process.argv.slice(2)] - Command-line arguments.
+ */
+const main = async (argv = process.argv.slice(2)) => {
+  if (argv.length === 0) {
+    await runInteractive();
+    return;
+  }
+  try {
+    const options = parseCommandLine(argv);
+    if (options.help) {
+      console.log(USAGE);
+      return;
+    }
+    const run = {
+      diff: runDiff,
+      serve: runServe,
+      cache: runCache,
+      batch: runBatchCommand,
+      profiles: runProfiles,
+      report: runCommand,
+    }[options.command];
+    process.exitCode = await run(options);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    if (error.exitCode === EXIT_CODES.USAGE_ERROR) {
+      console.error('Run "node cli.js --help" for usage.');
+    }
+    process.exitCode = error.exitCode || EXIT_CODES.UNEXPECTED_ERROR;
+  }
+};
+
+main();
@@ -0,0 +1,78 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const CLI = fileURLToPath(new URL('./cli.js', import.meta.url));
+
+const LISTINGS = [
+  'id,name,host_id,host_name,price,room_type,bedrooms,review_scores_rating',
+  '1,Loft,10,Ann,$100.00,Entire home/apt,1,4.5',
+  '2,Room,10,Ann,$60.00,Private room,1,4',
+  '3,Flat,20,Bob,$250.00,Entire home/apt,2,',
+].join('\n');
+
+describe('cli', () => {
+  let dir;
+
+  /**
+   * Runs the command line in the test folder, with its own cache directory.
+   * @param {string[]} args - Command-line arguments.
+   * @returns {Promise<{code: number, stdout: string, stderr: string}>} - Exit code and output.
+   */
+  const run = (args) =>
+    new Promise((resolve) => {
+      execFile(process.execPath, [CLI, ...args], {
+        cwd: dir,
+        env: { ...process.env, AIRBNB_CACHE_DIR: path.join(dir, 'cache') },
+        timeout: 60000,
+      }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+    });
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'airbnb-cli-'));
+    await fs.writeFile(path.join(dir, 'listings.csv'), LISTINGS);
+    await fs.writeFile(path.join(dir, 'empty.csv'), 'id,name,host_id,host_name,price,room_type,bedrooms\n');
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('prints the results as JSON on stdout', async () => {
+    const { code, stdout } = await run(['listings.csv', '--min-price', '80', '--json', '--quiet']);
+    assert.equal(code, 0);
+    const results = JSON.parse(stdout);
+    assert.deepEqual(results.listings.map((listing) => listing.id), ['1', '3']);
+    assert.equal(results.statistics.totalListings, 2);
+    assert.deepEqual(results.hosts.map((host) => host.hostName), ['Bob', 'Ann']);
+  });
+
+  it('exits with 2 on invalid arguments', async () => {
+    const unknown = await run(['listings.csv', '--colour', 'red']);
+    assert.equal(unknown.code, 2);
+    assert.match(unknown.stderr, /Run "node cli\.js --help" for usage/);
+    assert.equal((await run(['listings.csv', '--min-price', 'cheap'])).code, 2);
+    assert.equal((await run(['listings.csv', '--stream', '--entry', 'a.csv', '--entry', 'b.csv'])).code, 2);
+  });
+
+  it('exits with 3 when the input cannot be read', async () => {
+    const { code, stderr } = await run(['missing.csv', '--quiet']);
+    assert.equal(code, 3);
+    assert.match(stderr, /missing\.csv/);
+  });
+
+  it('exits with 5 when the data quality check fails', async () => {
+    assert.equal((await run(['empty.csv', '--on-invalid', 'fail', '--quiet'])).code, 5);
+    assert.equal((await run(['empty.csv', '--on-invalid', 'fail', '--stream', '--quiet'])).code, 5);
+  });
+
+  it('writes the export named with --output', async () => {
+    const { code } = await run(['listings.csv', '--quiet', '--output', 'out.csv', '--columns', 'id,price']);
+    assert.equal(code, 0);
+    const lines = (await fs.readFile(path.join(dir, 'out.csv'), 'utf8')).trim().split('\r\n');
+    assert.match(lines[0], /^# Source file: listings\.csv$/);
+    assert.deepEqual(lines.filter((line) => !line.startsWith('#')), ['id,price', '1,$100.00', '2,$60.00', '3,$250.00']);
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * @module Companions
+ */
+
+import { parsePrice, parseBoolean } from './utils.js';
+
+/**
+ * Listing columns added by joining the reviews and calendar files.
+ * @memberof module:Companions
+ */
+export const DERIVED_FIELDS = [
+  'occupancy_rate',
+  'occupancy_source',
+  'estimated_monthly_revenue',
+  'reviews_in_window',
+  'review_velocity',
+  'seasonal_price_curve',
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Average month length, used for every per-month figure.
+const DAYS_PER_MONTH = 30.44;
+
+/**
+ * Assumptions of the review-based occupancy model, used when a listing has no calendar:
+ * a share of guests leave a review, each stay lasts a few nights, and occupancy is capped.
+ * @memberof module:Companions
+ */
+export const REVIEW_OCCUPANCY_MODEL = { reviewRate: 0.5, averageStayNights: 3, maxOccupancy: 0.7 };
+
+const inWindow = (date, { from, to }) => (!from || date >= from) && (!to || date <= to);
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * Creates an accumulator over `calendar.csv` rows (`listing_id, date, available, price, ...`)
+ * keeping, per listing, the days in the window, the unavailable days and nightly prices by month.
+ * @memberof module:Companions
+ * @param {Object} [options] - Accumulator options.
+ * @param {string} [options.from] - First date of the window (`YYYY-MM-DD`), inclusive.
+ * @param {string} [options.to] - Last date of the window (`YYYY-MM-DD`), inclusive.
+ * @param {Object} [options.priceOptions={}] - Options passed to {@link module:Utils.parsePrice}.
+ * @returns {{add: function(Object): void, result: function(): Map<string, Object>}} - The accumulator.
+ */
+export const createCalendarAccumulator = ({ from, to, priceOptions = {} } = {}) => {
+  const listings = new Map();
+
+  const add = (row) => {
+    const date = String(row.date || '').slice(0, 10);
+    if (!date || !inWindow(date, { from, to })) return;
+    if (!listings.has(row.listing_id)) {
+      listings.set(row.listing_id, { days: 0, unavailableDays: 0, priceSum: 0, priceDays: 0, months: new Map() });
+    }
+    const listing = listings.get(row.listing_id);
+    listing.days += 1;
+    if (parseBoolean(row.available) === false) listing.unavailableDays += 1;
+
+    const rawPrice = row.adjusted_price || row.price;
+    if (rawPrice) {
+      const price = parsePrice(rawPrice, priceOptions);
+      const month = date.slice(0, 7);
+      const monthly = listing.months.get(month) || { sum: 0, days: 0 };
+      monthly.sum += price;
+      monthly.days += 1;
+      listing.months.set(month, monthly);
+      listing.priceSum += price;
+      listing.priceDays += 1;
+    }
+  };
+
+  const result = () => listings;
+
+  return { add, result };
+};
+
+/**
+ * First day of the default review window ending on the given date.
+ * @param {string} end - Last date of the window (`YYYY-MM-DD`).
+ * @returns {string} - The date 364 days earlier.
+ */
+const windowStart = (end) => new Date(Date.parse(end) - 364 * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Review window: the given dates, or by default the 365 days up to the latest review in the file.
+ * @param {{from?: string, to?: string}} window - Requested window.
+ * @param {string|null} latest - Latest review date.
+ * @returns {{from: string, to: string, months: number}|null} - The window and its length in months.
+ */
+const reviewWindow = ({ from, to }, latest) => {
+  const end = to || latest;
+  if (!end) return null;
+  const start = from || windowStart(end);
+  const days = (Date.parse(end) - Date.parse(start)) / DAY_MS + 1;
+  return { from: start, to: end, months: Math.max(days, 1) / DAYS_PER_MONTH };
+};
+
+/**
+ * Creates an accumulator over `reviews.csv` rows (`listing_id, date, ...`) counting reviews per listing
+ * and day inside the review window. When the window follows the latest review, days that drop out of it
+ * as later reviews are read are discarded, so memory is bounded by the listings and the days of the
+ * window rather than by the number of reviews.
+ * @memberof module:Companions
+ * @param {Object} [options] - Accumulator options.
+ * @param {string} [options.from] - First date of the window (`YYYY-MM-DD`), inclusive.
+ * @param {string} [options.to] - Last date of the window (`YYYY-MM-DD`), inclusive.
+ * @returns {{add: function(Object): void, result: function(): {counts: Map<string, number>, window: (Object|null)}}}
+ * - The accumulator; `counts` holds the reviews in `window` per listing.
+ */
+export const createReviewsAccumulator = ({ from, to } = {}) => {
+  const fixedStart = from || (to ? windowStart(to) : null);
+  const listings = new Map();
+  let latest = null;
+  let start = fixedStart;
+  let prunedMonth = null;
+
+  const prune = () => {
+    listings.forEach((days, listingId) => {
+      days.forEach((count, date) => {
+        if (date < start) days.delete(date);
+      });
+      if (days.size === 0) listings.delete(listingId);
+    });
+  };
+
+  const add = (row) => {
+    const date = String(row.date || '').slice(0, 10);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return;
+    if (!latest || date > latest) {
+      latest = date;
+      if (!fixedStart) {
+        start = windowStart(latest);
+        if (start.slice(0, 7) !== prunedMonth) {
+          prune();
+          prunedMonth = start.slice(0, 7);
+        }
+      }
+    }
+    if ((start && date < start) || (to && date > to)) return;
+    if (!listings.has(row.listing_id)) listings.set(row.listing_id, new Map());
+    const days = listings.get(row.listing_id);
+    days.set(date, (days.get(date) || 0) + 1);
+  };
+
+  const result = () => {
+    const window = reviewWindow({ from, to }, latest);
+    const counts = new Map();
+    if (window) {
+      listings.forEach((days, listingId) => {
+        let count = 0;
+        days.forEach((reviews, date) => {
+          if (inWindow(date, window)) count += reviews;
+        });
+        counts.set(listingId, count);
+      });
+    }
+    return { counts, window };
+  };
+
+  return { add, result };
+};
+
+/**
+ * Builds an enricher that adds the derived columns of {@link module:Companions.DERIVED_FIELDS} to a listing:
+ *
+ * - `occupancy_rate`: share of calendar days in the window that are not available (booked or blocked),
+ *   or, without calendar, the review-based estimate of {@link module:Companions.REVIEW_OCCUPANCY_MODEL};
+ * - `estimated_monthly_revenue`: average nightly price (calendar, else listing price) × occupancy × 30.44 (the average month length);
+ * - `reviews_in_window` and `review_velocity` (reviews per month in the window);
+ * - `seasonal_price_curve`: average calendar price per month (`{ 'YYYY-MM': price }`).
+ *
+ * Fields that cannot be computed for a listing are null.
+ * @memberof module:Companions
+ * @param {Object} companions - Joined data.
+ * @param {Map<string, Object>} [companions.calendar] - Result of {@link module:Companions.createCalendarAccumulator}.
+ * @param {Object} [companions.reviews] - Result of {@link module:Companions.createReviewsAccumulator},
+ * which also sets the review window.
+ * @param {Object} [companions.priceOptions={}] - Options passed to {@link module:Utils.parsePrice}.
+ * @returns {function(Object): Object} - Returns a copy of the listing with the derived columns.
+ */
+export const createListingEnricher = ({ calendar, reviews, priceOptions = {} }) => {
+  const window = reviews ? reviews.window : null;
+
+  return (listing) => {
+    const days = calendar && calendar.get(listing.id);
+    const reviewsInWindow = window ? reviews.counts.get(listing.id) || 0 : null;
+    const reviewVelocity = window ? reviewsInWindow / window.months : null;
+
+    let occupancy = null;
+    let occupancySource = null;
+    if (days && days.days > 0) {
+      occupancy = days.unavailableDays / days.days;
+      occupancySource = 'calendar';
+    } else if (reviewVelocity !== null) {
+      const { reviewRate, averageStayNights, maxOccupancy } = REVIEW_OCCUPANCY_MODEL;
+      occupancy = Math.min(((reviewVelocity / reviewRate) * averageStayNights) / DAYS_PER_MONTH, maxOccupancy);
+      occupancySource = 'reviews';
+    }
+
+    const nightlyPrice = days && days.priceDays > 0
+      ? days.priceSum / days.priceDays
+      : parsePrice(listing.price, priceOptions);
+
+    return {
+      ...listing,
+      occupancy_rate: occupancy === null ? null : round(occupancy, 4),
+      occupancy_source: occupancySource,
+      estimated_monthly_revenue: occupancy === null ? null : round(nightlyPrice * occupancy * DAYS_PER_MONTH),
+      reviews_in_window: reviewsInWindow,
+      review_velocity: reviewVelocity === null ? null : round(reviewVelocity),
+      seasonal_price_curve: days && days.months.size > 0
+        ? Object.fromEntries(
+          [...days.months.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([month, { sum, days: count }]) => [month, round(sum / count)])
+        )
+        : null,
+    };
+  };
+};
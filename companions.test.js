@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { aggregate } from './aggregators.js';
+import { createCalendarAccumulator, createListingEnricher, createReviewsAccumulator } from './companions.js';
+
+const CALENDAR = [
+  { listing_id: '1', date: '2023-12-31', available: 'f', price: '$500.00' },
+  { listing_id: '1', date: '2024-01-01', available: 'f', price: '$100.00' },
+  { listing_id: '1', date: '2024-01-02', available: 't', price: '$100.00' },
+  { listing_id: '1', date: '2024-02-01', available: 'f', price: '$200.00' },
+  { listing_id: '1', date: '2024-02-02', available: 't', adjusted_price: '$200.00', price: '$900.00' },
+];
+
+const REVIEWS = [
+  { listing_id: 'a', date: '2022-01-01' },
+  { listing_id: 'b', date: '2023-01-01' },
+  { listing_id: 'a', date: '2023-06-01' },
+  { listing_id: 'a', date: '2023-06-01' },
+  { listing_id: 'a', date: 'n/a' },
+  { listing_id: 'a', date: '2024-01-01' },
+];
+
+describe('createCalendarAccumulator', () => {
+  it('counts days, unavailable days and prices by month inside the window', () => {
+    const calendar = aggregate(CALENDAR, createCalendarAccumulator({ from: '2024-01-01', to: '2024-02-29' }));
+    const listing = calendar.get('1');
+    assert.deepEqual([listing.days, listing.unavailableDays, listing.priceSum, listing.priceDays], [4, 2, 600, 4]);
+    assert.deepEqual([...listing.months.keys()], ['2024-01', '2024-02']);
+  });
+});
+
+describe('createReviewsAccumulator', () => {
+  it('counts the reviews of the 365 days up to the latest review by default', () => {
+    const { counts, window } = aggregate(REVIEWS, createReviewsAccumulator());
+    assert.deepEqual(window, { from: '2023-01-02', to: '2024-01-01', months: 365 / 30.44 });
+    assert.deepEqual([...counts], [['a', 3]]);
+  });
+
+  it('counts the reviews of a given window', () => {
+    const { counts, window } = aggregate(REVIEWS, createReviewsAccumulator({ from: '2022-06-01', to: '2023-06-30' }));
+    assert.equal(window.from, '2022-06-01');
+    assert.equal(window.to, '2023-06-30');
+    assert.deepEqual(Object.fromEntries(counts), { a: 2, b: 1 });
+  });
+
+  it('has no window without reviews', () => {
+    assert.deepEqual(createReviewsAccumulator().result(), { counts: new Map(), window: null });
+  });
+});
+
+describe('createListingEnricher', () => {
+  it('derives occupancy, revenue and the price curve from the calendar', () => {
+    const calendar = aggregate(CALENDAR, createCalendarAccumulator({ from: '2024-01-01', to: '2024-02-29' }));
+    const enriched = createListingEnricher({ calendar })({ id: '1', price: '$80.00' });
+    assert.equal(enriched.occupancy_rate, 0.5);
+    assert.equal(enriched.occupancy_source, 'calendar');
+    assert.equal(enriched.estimated_monthly_revenue, 2283);
+    assert.deepEqual(enriched.seasonal_price_curve, { '2024-01': 100, '2024-02': 200 });
+    assert.equal(enriched.reviews_in_window, null);
+  });
+
+  it('estimates occupancy from reviews without a calendar', () => {
+    const reviews = aggregate(REVIEWS, createReviewsAccumulator());
+    const enrich = createListingEnricher({ reviews });
+    const listing = enrich({ id: 'a', price: '$100.00' });
+    assert.deepEqual(
+      [listing.reviews_in_window, listing.review_velocity, listing.occupancy_rate, listing.occupancy_source],
+      [3, 0.25, 0.0493, 'reviews']
+    );
+    assert.equal(listing.estimated_monthly_revenue, 150.12);
+    assert.equal(enrich({ id: 'b', price: '$100.00' }).reviews_in_window, 0);
+  });
+
+  it('caps the review-based occupancy', () => {
+    const rows = Array.from({ length: 200 }, (_, index) => ({ listing_id: 'a', date: `2024-01-${String((index % 28) + 1).padStart(2, '0')}` }));
+    const listing = createListingEnricher({ reviews: aggregate(rows, createReviewsAccumulator()) })({ id: 'a', price: '$100.00' });
+    assert.equal(listing.occupancy_rate, 0.7);
+  });
+
+  it('leaves the derived fields null without companion data', () => {
+    const listing = createListingEnricher({})({ id: '1', price: '$100.00' });
+    assert.deepEqual(
+      [listing.occupancy_rate, listing.estimated_monthly_revenue, listing.review_velocity, listing.seasonal_price_curve],
+      [null, null, null, null]
+    );
+  });
+});
@@ -0,0 +1,564 @@
+/**
+ * @module Exporters
+ */
+
+import { createWriteStream } from 'fs';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import zlib from 'zlib';
+
+/**
+ * Supported export formats.
+ * @memberof module:Exporters
+ */
+export const EXPORT_FORMATS = ['json', 'csv', 'ndjson', 'md', 'html'];
+
+const EXTENSIONS = {
+  json: 'json',
+  csv: 'csv',
+  ndjson: 'ndjson',
+  jsonl: 'ndjson',
+  md: 'md',
+  markdown: 'md',
+  html: 'html',
+  htm: 'html',
+};
+
+/**
+ * Infers the export format and compression from a file name, e.g. `listings.csv.gz`.
+ * Unknown extensions fall back to JSON.
+ * @memberof module:Exporters
+ * @param {string} outputFilePath - The output file path.
+ * @returns {{format: string, gzip: boolean}} - The inferred format and whether to gzip.
+ */
+export const detectFormat = (outputFilePath) => {
+  const parts = outputFilePath.toLowerCase().split(/[\\/]/).pop().split('.');
+  const gzip = parts.length >= 2 && parts[parts.length - 1] === 'gz';
+  const extension = parts[parts.length - (gzip ? 2 : 1)];
+  return { format: Object.hasOwn(EXTENSIONS, extension) ? EXTENSIONS[extension] : 'json', gzip };
+};
+
+/**
+ * Flattens one- or two-level statistics groups into labelled rows (`"Mitte / Private room"`).
+ * @memberof module:Exporters
+ * @param {Object} stats - Statistics with `groups`.
+ * @param {string} [prefix] - Label of the parent group.
+ * @returns {{label: string, group: Object}[]} - The innermost groups.
+ */
+export const flattenGroups = (stats, prefix) =>
+  Object.entries(stats.groups || {}).flatMap(([name, group]) => {
+    const label = prefix ? `${prefix} / ${name}` : name;
+    return group.groups ? flattenGroups(group, label) : [{ label, group }];
+  });
+
+/**
+ * Picks the given columns of a listing, in order.
+ * @param {Object} listing - The listing.
+ * @param {string[]} [columns] - Columns to keep; all columns when omitted.
+ * @returns {Object} - The projected listing.
+ */
+const project = (listing, columns) =>
+  columns ? Object.fromEntries(columns.map((column) => [column, listing[column] ?? ''])) : listing;
+
+const escapeCsv = (value) => {
+  const text = value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const escapeHtml = (value) =>
+  String(value ?? '').replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+const escapeMarkdown = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+
+const display = (value) => (value === null || value === undefined ? '-' : value);
+
+/**
+ * Summary tables shared by the Markdown and HTML reports.
+ * @param {Object} results - The results to export.
+ * @param {number} hostLimit - Number of hosts to include.
+ * @returns {{title: string, headers: string[], rows: Array[]}[]} - The tables.
+ */
+const reportTables = ({ statistics = {}, hostRanking = [] }, hostLimit) => {
+  const metricColumns = ['count', 'mean', 'median', 'min', 'p10', 'p25', 'p75', 'p90', 'max', 'stdDev', 'outliers'];
+  const tables = [{
+    title: 'Statistics',
+    headers: ['metric', ...metricColumns],
+    rows: Object.entries(statistics.metrics || {}).map(([metric, summary]) => [
+      metric,
+      ...metricColumns.map((column) => display(summary[column])),
+    ]),
+  }];
+  if (statistics.groups) {
+    tables.push({
+      title: `Breakdown by ${statistics.groupBy.join(' / ')}`,
+      headers: ['group', 'listings', 'median price', 'mean price', 'p25 price', 'p75 price', 'mean review'],
+      rows: flattenGroups(statistics).map(({ label, group }) => [
+        label,
+        group.totalListings,
+        display(group.metrics.price.median),
+        display(group.metrics.price.mean),
+        display(group.metrics.price.p25),
+        display(group.metrics.price.p75),
+        display(group.metrics.reviewScore.mean),
+      ]),
+    });
+  }
+  tables.push({
+    title: 'Host Ranking',
+    headers: ['#', 'host', 'listings', 'revenue/night', 'avg price', 'avg review', 'entire home share', 'neighbourhoods', 'superhost', 'flags'],
+    rows: hostRanking.slice(0, hostLimit).map((host) => [
+      host.rank,
+      host.hostName,
+      host.listingsCount,
+      display(host.totalNightlyRevenue),
+      display(host.averagePrice),
+      display(host.averageReviewScore),
+      host.entireHomeShare === undefined ? '-' : `${Math.round(host.entireHomeShare * 100)}%`,
+      display(host.neighbourhoodsCount),
+      host.isSuperhost ? 'yes' : 'no',
+      (host.flags || []).join(', '),
+    ]),
+  });
+  return tables;
+};
+
+/**
+ * Key/value lines describing the export: source file, criteria and generation time.
+ * @param {Object} metadata - The export metadata.
+ * @returns {Array<[string, string]>} - Label and value pairs.
+ */
+const metadataEntries = (metadata = {}) => [
+  ['Source file', metadata.sourceFile],
+  ['Generated at', metadata.generatedAt],
+  ['Criteria', JSON.stringify(metadata.criteria ?? {})],
+  ['Listings', metadata.totalListings],
+  ['Currency', metadata.currency ?? 'unknown'],
+];
+
+/**
+ * Renders a Markdown report: a title, a metadata list and one section per table.
+ * @param {string} title - The report title.
+ * @param {Array<[string, string]>} entries - Metadata label and value pairs.
+ * @param {{title: string, headers: string[], rows: Array[]}[]} tables - The tables.
+ * @yields {string} - Chunks of the document.
+ */
+async function* markdownDocument(title, entries, tables) {
+  yield `# ${title}\n\n`;
+  for (const [label, value] of entries) {
+    yield `- **${label}:** ${escapeMarkdown(value)}\n`;
+  }
+  for (const table of tables) {
+    yield `\n## ${table.title}\n\n`;
+    yield `| ${table.headers.map(escapeMarkdown).join(' | ')} |\n`;
+    yield `| ${table.headers.map(() => '---').join(' | ')} |\n`;
+    for (const row of table.rows) {
+      yield `| ${row.map(escapeMarkdown).join(' | ')} |\n`;
+    }
+  }
+}
+
+/**
+ * Renders a standalone HTML report: a title, a metadata list and one section per table.
+ * @param {string} title - The report title.
+ * @param {Array<[string, string]>} entries - Metadata label and value pairs.
+ * @param {{title: string, headers: string[], rows: Array[]}[]} tables - The tables.
+ * @yields {string} - Chunks of the document.
+ */
+async function* htmlDocument(title, entries, tables) {
+  yield `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: sans-serif; margin: 2rem; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 2rem; }
+  th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  th { background: #f3f3f3; }
+  dt { font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<dl>
+`;
+  for (const [label, value] of entries) {
+    yield `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>\n`;
+  }
+  yield '</dl>\n';
+  for (const table of tables) {
+    yield `<h2>${escapeHtml(table.title)}</h2>\n<table>\n<thead><tr>${table.headers.map((header) => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>\n<tbody>\n`;
+    for (const row of table.rows) {
+      yield `<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>\n`;
+    }
+    yield '</tbody>\n</table>\n';
+  }
+  yield '</body>\n</html>\n';
+}
+
+/**
+ * Renders rows as CSV, preceded by one `# label: value` comment line per metadata entry.
+ * @param {Object[]} rows - The rows.
+ * @param {string[]} [columns] - Columns to write; every column seen in the rows when omitted.
+ * @param {Array<[string, string]>} entries - Metadata label and value pairs.
+ * @yields {string} - Chunks of the document.
+ */
+async function* csvDocument(rows, columns, entries) {
+  for (const [label, value] of entries) {
+    yield `# ${label}: ${String(value ?? '').replace(/\r?\n/g, ' ')}\r\n`;
+  }
+  const header = columns || [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  yield `${header.map(escapeCsv).join(',')}\r\n`;
+  for (const row of rows) {
+    yield `${header.map((column) => escapeCsv(row[column])).join(',')}\r\n`;
+  }
+}
+
+/**
+ * Renders rows as newline-delimited JSON, after a first `{"metadata": ...}` line.
+ * @param {Object[]} rows - The rows.
+ * @param {string[]} [columns] - Columns to write; all columns when omitted.
+ * @param {Object} metadata - The export metadata.
+ * @yields {string} - Chunks of the document.
+ */
+async function* ndjsonDocument(rows, columns, metadata = {}) {
+  yield `${JSON.stringify({ metadata })}\n`;
+  for (const row of rows) {
+    yield `${JSON.stringify(project(row, columns))}\n`;
+  }
+}
+
+const renderers = {
+  async *json(results, { columns }) {
+    yield JSON.stringify({
+      ...results,
+      filteredListings: results.filteredListings.map((listing) => project(listing, columns)),
+    }, null, 2);
+  },
+
+  ndjson(results, { columns }) {
+    return ndjsonDocument(results.filteredListings, columns, results.metadata);
+  },
+
+  csv(results, { columns }) {
+    return csvDocument(results.filteredListings, columns, metadataEntries(results.metadata));
+  },
+
+  md(results, { hostLimit }) {
+    return markdownDocument('Airbnb Data Report', metadataEntries(results.metadata), reportTables(results, hostLimit));
+  },
+
+  html(results, { hostLimit }) {
+    return htmlDocument('Airbnb Data Report', metadataEntries(results.metadata), reportTables(results, hostLimit));
+  },
+};
+
+/**
+ * One flat row per added, removed or changed listing: `change`, `match` (the side on which the listing
+ * meets the criteria: `before`, `after` or `both`), `id`, `name`, then `<field>_before` and `<field>_after`
+ * for every compared field. Fields a changed listing kept are left blank.
+ * @memberof module:Exporters
+ * @param {Object} listings - The `listings` part of a snapshot comparison.
+ * @returns {Object[]} - The rows.
+ */
+export const listingChangeRows = ({ added, removed, changed }) => {
+  const fields = [...new Set([...added, ...removed].flatMap((listing) => Object.keys(listing.fields))
+    .concat(changed.flatMap((listing) => Object.keys(listing.changes))))];
+  const row = (change, match, listing, values) => ({
+    change,
+    match,
+    id: listing.id,
+    name: listing.name,
+    ...Object.fromEntries(fields.flatMap((field) => [
+      [`${field}_before`, values(field).before],
+      [`${field}_after`, values(field).after],
+    ])),
+  });
+  return [
+    ...added.map((listing) => row('added', 'after', listing, (field) => ({ after: listing.fields[field] }))),
+    ...removed.map((listing) => row('removed', 'before', listing, (field) => ({ before: listing.fields[field] }))),
+    ...changed.map((listing) => row('changed', listing.match, listing, (field) => listing.changes[field] || {})),
+  ];
+};
+
+const signed = (value) => (value > 0 ? `+${value}` : display(value));
+
+const percent = (value) => (value === null || value === undefined ? '-' : `${signed(value)}%`);
+
+/**
+ * Summary tables of a snapshot comparison, shared by the Markdown and HTML reports.
+ * @param {Object} diff - The comparison, see {@link module:Snapshots.compareSnapshots}.
+ * @param {number} hostLimit - Number of hosts to include.
+ * @param {number} listingLimit - Number of changed listings to include.
+ * @returns {{title: string, headers: string[], rows: Array[]}[]} - The tables.
+ */
+const diffTables = ({ summary, statistics, hosts, listings }, hostLimit, listingLimit) => {
+  const tables = [
+    {
+      title: 'Summary',
+      headers: ['', 'count'],
+      rows: [
+        ['Listings before', summary.listingsBefore],
+        ['Listings after', summary.listingsAfter],
+        ['Added', summary.added],
+        ['Removed', summary.removed],
+        ['Changed', summary.changed],
+        ['Hosts that grew', summary.hostsGrew],
+        ['Hosts that shrank', summary.hostsShrank],
+      ],
+    },
+    {
+      title: 'Statistics changes',
+      headers: ['metric', 'statistic', 'before', 'after', 'change', 'change %'],
+      rows: Object.entries(statistics.metrics)
+        .filter(([, stats]) => stats.count.before > 0 || stats.count.after > 0)
+        .flatMap(([metric, stats]) => Object.entries(stats).map(([stat, { before, after, change, percentChange }]) => [
+          metric, stat, display(before), display(after), signed(change), percent(percentChange),
+        ])),
+    },
+  ];
+  if (statistics.groups) {
+    tables.push({
+      title: `Changes by ${statistics.groupBy.join(' / ')}`,
+      headers: ['group', 'listings before', 'listings after', 'change', 'median price before', 'median price after', 'change %'],
+      rows: Object.entries(statistics.groups).map(([label, group]) => [
+        label,
+        group.totalListings.before,
+        group.totalListings.after,
+        signed(group.totalListings.change),
+        display(group.medianPrice.before),
+        display(group.medianPrice.after),
+        percent(group.medianPrice.percentChange),
+      ]),
+    });
+  }
+  tables.push({
+    title: 'Host portfolio changes',
+    headers: ['host', 'status', 'listings before', 'listings after', 'change', 'revenue/night before', 'revenue/night after'],
+    rows: hosts.slice(0, hostLimit).map((host) => [
+      host.hostName,
+      host.status,
+      host.listingsCount.before,
+      host.listingsCount.after,
+      signed(host.listingsCount.change),
+      display(host.totalNightlyRevenue.before),
+      display(host.totalNightlyRevenue.after),
+    ]),
+  });
+  const rows = listingChangeRows(listings);
+  const fields = Object.keys(rows[0] || {}).filter((column) => column.endsWith('_before')).map((column) => column.slice(0, -7));
+  tables.push({
+    title: 'Listing changes',
+    headers: ['change', 'id', 'name', ...fields],
+    rows: rows.slice(0, listingLimit).map((row) => [
+      row.change === 'changed' && row.match !== 'both' ? `changed (matches ${row.match} only)` : row.change,
+      row.id,
+      display(row.name),
+      ...fields.map((field) => {
+        const [before, after] = [row[`${field}_before`], row[`${field}_after`]];
+        if (row.change === 'changed') return before === undefined && after === undefined ? '' : `${display(before)} → ${display(after)}`;
+        return display(row.change === 'added' ? after : before);
+      }),
+    ]),
+  });
+  return tables;
+};
+
+const diffMetadataEntries = (metadata = {}) => [
+  ['Before', metadata.beforeFile],
+  ['After', metadata.afterFile],
+  ['Generated at', metadata.generatedAt],
+  ['Criteria', JSON.stringify(metadata.criteria ?? {})],
+  ['Currency', metadata.currency ?? 'unknown'],
+];
+
+const diffRenderers = {
+  async *json(diff) {
+    yield JSON.stringify(diff, null, 2);
+  },
+
+  ndjson(diff, { columns }) {
+    return ndjsonDocument(listingChangeRows(diff.listings), columns, diff.metadata);
+  },
+
+  csv(diff, { columns }) {
+    return csvDocument(listingChangeRows(diff.listings), columns, diffMetadataEntries(diff.metadata));
+  },
+
+  md(diff, { hostLimit, listingLimit }) {
+    return markdownDocument('Airbnb Snapshot Comparison', diffMetadataEntries(diff.metadata), diffTables(diff, hostLimit, listingLimit));
+  },
+
+  html(diff, { hostLimit, listingLimit }) {
+    return htmlDocument('Airbnb Snapshot Comparison', diffMetadataEntries(diff.metadata), diffTables(diff, hostLimit, listingLimit));
+  },
+};
+
+/**
+ * Tables of a batch run, shared by the Markdown and HTML reports: the cross-city comparison,
+ * failed files, then the statistics breakdown and host ranking of every city.
+ * @param {Object} report - The batch report, see {@link module:Batch.runBatch}.
+ * @param {number} hostLimit - Number of hosts to include per city.
+ * @returns {{title: string, headers: string[], rows: Array[]}[]} - The tables.
+ */
+const batchTables = ({ comparison, cities, failures }, hostLimit) => {
+  const tables = [{
+    title: 'City comparison',
+    headers: ['city', 'listings', 'matched', 'matched %', 'currency', 'median price', 'mean price', 'p25 price', 'p75 price',
+      'mean review', 'hosts', 'commercial hosts %', 'top host', 'top host listings'],
+    rows: comparison.filter((row) => row.status === 'ok').map((row) => [
+      row.city,
+      row.listings,
+      row.matched,
+      display(row.matchedShare),
+      display(row.currency),
+      display(row.medianPrice),
+      display(row.meanPrice),
+      display(row.p25Price),
+      display(row.p75Price),
+      display(row.meanReviewScore),
+      display(row.hosts),
+      display(row.commercialHostShare),
+      display(row.topHost),
+      display(row.topHostListings),
+    ]),
+  }];
+  if (failures.length > 0) {
+    tables.push({
+      title: 'Failed files',
+      headers: ['city', 'file', 'error'],
+      rows: failures.map((failure) => [failure.city, failure.file, failure.error]),
+    });
+  }
+  cities.forEach((city) => {
+    const cityTables = reportTables({ statistics: city.statistics || {}, hostRanking: city.hostRanking || [] }, hostLimit)
+      .filter((table) => table.rows.length > 0);
+    tables.push(...cityTables.map((table) => ({ ...table, title: `${city.city}: ${table.title}` })));
+  });
+  return tables;
+};
+
+const batchMetadataEntries = (metadata = {}) => [
+  ['Profile', metadata.profile ?? 'none'],
+  ['Generated at', metadata.generatedAt],
+  ['Criteria', JSON.stringify(metadata.criteria ?? {})],
+  ['Files', `${metadata.files} (${metadata.succeeded} succeeded, ${metadata.failed} failed)`],
+];
+
+const batchRenderers = {
+  async *json(report) {
+    yield JSON.stringify(report, null, 2);
+  },
+
+  ndjson(report, { columns }) {
+    return ndjsonDocument(report.comparison, columns, report.metadata);
+  },
+
+  csv(report, { columns }) {
+    return csvDocument(report.comparison, columns, batchMetadataEntries(report.metadata));
+  },
+
+  md(report, { hostLimit }) {
+    return markdownDocument('Airbnb City Comparison', batchMetadataEntries(report.metadata), batchTables(report, hostLimit));
+  },
+
+  html(report, { hostLimit }) {
+    return htmlDocument('Airbnb City Comparison', batchMetadataEntries(report.metadata), batchTables(report, hostLimit));
+  },
+};
+
+/**
+ * Renders results with the renderer of the given format.
+ * @param {Object<string, function>} formatRenderers - Renderers by format.
+ * @param {Object} results - The results to render.
+ * @param {Object} options - Export options, with the resolved `format`.
+ * @returns {AsyncIterable<string>} - Chunks of the output.
+ */
+const render = (formatRenderers, results, options) => {
+  if (!formatRenderers[options.format]) {
+    throw new Error(`Unsupported export format "${options.format}". Use one of: ${EXPORT_FORMATS.join(', ')}.`);
+  }
+  return formatRenderers[options.format](results, {
+    columns: options.columns && options.columns.length > 0 ? options.columns : undefined,
+    hostLimit: options.hostLimit ?? 20,
+    listingLimit: options.listingLimit ?? 50,
+  });
+};
+
+/**
+ * Streams rendered results to a file, gzipping them when asked or when the name ends in `.gz`.
+ * @param {Object<string, function>} formatRenderers - Renderers by format.
+ * @param {string} outputFilePath - The output file path.
+ * @param {Object} results - The results to render.
+ * @param {Object} options - Export options.
+ * @returns {Promise<void>} - Resolves once the file has been written.
+ */
+const writeRendered = async (formatRenderers, outputFilePath, results, options) => {
+  const detected = detectFormat(outputFilePath);
+  const chunks = render(formatRenderers, results, { ...options, format: options.format || detected.format });
+  await pipeline(
+    Readable.from(chunks),
+    ...((options.gzip ?? detected.gzip) ? [zlib.createGzip()] : []),
+    createWriteStream(outputFilePath)
+  );
+};
+
+/**
+ * Renders results without writing them, e.g. to stream them over HTTP. Gzip is left to the caller.
+ * @memberof module:Exporters
+ * @param {Object} results - `{ metadata, filteredListings, statistics, hostRanking, ... }`.
+ * @param {Object} [options] - Export options, as accepted by {@link module:Exporters.writeExport}.
+ * @param {string} [options.format='json'] - One of {@link module:Exporters.EXPORT_FORMATS}.
+ * @returns {AsyncIterable<string>} - Chunks of the output.
+ */
+export const renderExport = (results, options = {}) =>
+  render(renderers, results, { ...options, format: options.format || 'json' });
+
+/**
+ * Writes results to a file in the requested format, streaming the output so large listing
+ * exports are never built as a single string.
+ *
+ * Every format carries a metadata header (source file, criteria, generation time): a JSON `metadata`
+ * key, a list atop Markdown and HTML reports, `# label: value` comment lines before the CSV header row,
+ * and a first `{"metadata": ...}` line in NDJSON, followed by one filtered listing per row or line.
+ * @memberof module:Exporters
+ * @param {string} outputFilePath - The output file path.
+ * @param {Object} results - `{ metadata, filteredListings, statistics, hostRanking, ... }`.
+ * @param {Object} [options] - Export options.
+ * @param {string} [options.format] - One of {@link module:Exporters.EXPORT_FORMATS}; inferred from the file name when omitted.
+ * @param {boolean} [options.gzip] - Gzip the output; inferred from a trailing `.gz` when omitted.
+ * @param {string[]} [options.columns] - Listing columns to include in JSON, CSV and NDJSON exports.
+ * @param {number} [options.hostLimit=20] - Number of hosts listed in Markdown and HTML reports.
+ * @returns {Promise<void>} - Resolves once the file has been written.
+ */
+export const writeExport = (outputFilePath, results, options = {}) =>
+  writeRendered(renderers, outputFilePath, results, options);
+
+/**
+ * Writes a snapshot comparison to a file in the requested format. JSON holds the whole comparison;
+ * CSV and NDJSON hold the metadata header, then one row per added, removed or changed listing (see
+ * {@link module:Exporters.listingChangeRows}); Markdown and HTML summarize listing, statistics and host changes.
+ * @memberof module:Exporters
+ * @param {string} outputFilePath - The output file path.
+ * @param {Object} diff - The comparison, see {@link module:Snapshots.compareSnapshots}.
+ * @param {Object} [options] - Export options, as accepted by {@link module:Exporters.writeExport}.
+ * @param {number} [options.listingLimit=50] - Number of changed listings listed in Markdown and HTML reports.
+ * @returns {Promise<void>} - Resolves once the file has been written.
+ */
+export const writeDiffExport = (outputFilePath, diff, options = {}) =>
+  writeRendered(diffRenderers, outputFilePath, diff, options);
+
+/**
+ * Writes a batch report to a file in the requested format. JSON holds the whole report; CSV and NDJSON
+ * hold the metadata header, then one comparison row per city (see {@link module:Batch.comparisonRow}); Markdown and HTML add the
+ * failed files and every city's statistics breakdown and host ranking.
+ * @memberof module:Exporters
+ * @param {string} outputFilePath - The output file path.
+ * @param {Object} report - The batch report, see {@link module:Batch.runBatch}.
+ * @param {Object} [options] - Export options, as accepted by {@link module:Exporters.writeExport};
+ * `columns` selects comparison columns.
+ * @returns {Promise<void>} - Resolves once the file has been written.
+ */
+export const writeBatchExport = (outputFilePath, report, options = {}) =>
+  writeRendered(batchRenderers, outputFilePath, report, options);
@@ -0,0 +1,106 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { detectFormat, listingChangeRows, renderExport, writeExport } from './exporters.js';
+
+const RESULTS = {
+  metadata: { sourceFile: 'listings.csv', generatedAt: '2024-05-01T00:00:00.000Z', criteria: { price: { max: 200 } }, totalListings: 2, currency: 'USD' },
+  filteredListings: [
+    { id: '1', name: 'Loft, "canal" view', price: '$100.00' },
+    { id: '2', name: 'Room', price: '$60.00', room_type: 'Private room' },
+  ],
+  statistics: { totalListings: 2, metrics: {} },
+  hostRanking: [],
+};
+
+const render = async (options) => {
+  let text = '';
+  for await (const chunk of renderExport(RESULTS, options)) text += chunk;
+  return text;
+};
+
+describe('detectFormat', () => {
+  it('reads the format and compression from the file name', () => {
+    assert.deepEqual(detectFormat('out/listings.csv.gz'), { format: 'csv', gzip: true });
+    assert.deepEqual(detectFormat('report.HTM'), { format: 'html', gzip: false });
+    assert.deepEqual(detectFormat('rows.jsonl'), { format: 'ndjson', gzip: false });
+  });
+
+  it('falls back to JSON for unknown or inherited extensions', () => {
+    assert.deepEqual(detectFormat('results.txt'), { format: 'json', gzip: false });
+    assert.deepEqual(detectFormat('results.constructor'), { format: 'json', gzip: false });
+    assert.deepEqual(detectFormat('gz'), { format: 'json', gzip: false });
+    assert.deepEqual(detectFormat('dump.v2/results.gz'), { format: 'json', gzip: true });
+  });
+});
+
+describe('renderExport', () => {
+  it('starts CSV with metadata comments and quotes fields', async () => {
+    const lines = (await render({ format: 'csv' })).split('\r\n');
+    assert.deepEqual(lines, [
+      '# Source file: listings.csv',
+      '# Generated at: 2024-05-01T00:00:00.000Z',
+      '# Criteria: {"price":{"max":200}}',
+      '# Listings: 2',
+      '# Currency: USD',
+      'id,name,price,room_type',
+      '1,"Loft, ""canal"" view",$100.00,',
+      '2,Room,$60.00,Private room',
+      '',
+    ]);
+  });
+
+  it('starts NDJSON with a metadata line and projects columns', async () => {
+    const lines = (await render({ format: 'ndjson', columns: ['id', 'room_type'] })).trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepEqual(lines, [
+      { metadata: RESULTS.metadata },
+      { id: '1', room_type: '' },
+      { id: '2', room_type: 'Private room' },
+    ]);
+  });
+
+  it('escapes listing text in HTML reports', async () => {
+    const html = await render({ format: 'html' });
+    assert.match(html, /^<!DOCTYPE html>/);
+    assert.match(html, /\{&quot;price&quot;:\{&quot;max&quot;:200\}\}/);
+  });
+
+  it('rejects unknown formats', () => {
+    assert.throws(() => renderExport(RESULTS, { format: 'xml' }), /Unsupported export format "xml"/);
+  });
+});
+
+describe('writeExport', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'airbnb-export-'));
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('gzips files whose name ends in .gz', async () => {
+    const filePath = path.join(dir, 'results.json.gz');
+    await writeExport(filePath, RESULTS);
+    const written = JSON.parse(zlib.gunzipSync(await fs.readFile(filePath)).toString());
+    assert.deepEqual(written.filteredListings, RESULTS.filteredListings);
+    assert.deepEqual(written.metadata, RESULTS.metadata);
+  });
+});
+
+describe('listingChangeRows', () => {
+  it('flattens added, removed and changed listings', () => {
+    const rows = listingChangeRows({
+      added: [{ id: '3', name: 'New', fields: { price: 90 } }],
+      removed: [],
+      changed: [{ id: '1', name: 'Loft', match: 'before', changes: { price: { before: 100, after: 120 } } }],
+    });
+    assert.deepEqual(rows, [
+      { change: 'added', match: 'after', id: '3', name: 'New', price_before: undefined, price_after: 90 },
+      { change: 'changed', match: 'before', id: '1', name: 'Loft', price_before: 100, price_after: 120 },
+    ]);
+  });
+});
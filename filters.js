@@ -0,0 +1,359 @@
+/**
+ * @module Filters
+ */
+
+import { parsePrice, parseNumber, parseBoolean } from './utils.js';
+
+/**
+ * Parses the `amenities` column, a JSON array of strings, into lower-cased names.
+ * @param {string} value - The raw column value.
+ * @returns {string[]} - The amenities.
+ */
+const parseAmenities = (value) => {
+  if (!value) return [];
+  try {
+    const amenities = JSON.parse(value);
+    return Array.isArray(amenities) ? amenities.map((amenity) => String(amenity).toLowerCase()) : [];
+  } catch {
+    return String(value)
+      .replace(/^[{[]|[}\]]$/g, '')
+      .split(',')
+      .map((amenity) => amenity.replace(/"/g, '').trim().toLowerCase())
+      .filter(Boolean);
+  }
+};
+
+const toText = (value) => String(value ?? '').trim();
+
+/**
+ * Filterable fields: how to read each one from a listing and which type of condition it accepts.
+ * Getters receive the listing and the price options (locale, currency, reportingCurrency, rates).
+ * The occupancy, revenue and review fields exist once reviews or calendar data have been joined.
+ * @memberof module:Filters
+ */
+export const FIELDS = {
+  price: { type: 'number', get: (listing, priceOptions) => parsePrice(listing.price, priceOptions) },
+  bedrooms: { type: 'number', get: (listing) => parseNumber(listing.bedrooms, 1) },
+  review_scores_rating: { type: 'number', get: (listing) => parseNumber(listing.review_scores_rating) },
+  accommodates: { type: 'number', get: (listing) => parseNumber(listing.accommodates, NaN) },
+  minimum_nights: { type: 'number', get: (listing) => parseNumber(listing.minimum_nights, NaN) },
+  availability_365: { type: 'number', get: (listing) => parseNumber(listing.availability_365, NaN) },
+  latitude: { type: 'number', get: (listing) => parseFloat(listing.latitude) },
+  longitude: { type: 'number', get: (listing) => parseFloat(listing.longitude) },
+  neighbourhood: {
+    type: 'string',
+    get: (listing) => toText(listing.neighbourhood_cleansed || listing.neighbourhood),
+  },
+  room_type: { type: 'string', get: (listing) => toText(listing.room_type) },
+  property_type: { type: 'string', get: (listing) => toText(listing.property_type) },
+  instant_bookable: { type: 'boolean', get: (listing) => parseBoolean(listing.instant_bookable) },
+  host_is_superhost: { type: 'boolean', get: (listing) => parseBoolean(listing.host_is_superhost) },
+  amenities: { type: 'list', get: (listing) => parseAmenities(listing.amenities) },
+  text: { type: 'text', get: (listing) => `${toText(listing.name)}\n${toText(listing.description)}` },
+  occupancy_rate: { type: 'number', get: (listing) => parseNumber(listing.occupancy_rate, NaN) },
+  occupancy_source: { type: 'string', get: (listing) => toText(listing.occupancy_source) },
+  estimated_monthly_revenue: { type: 'number', get: (listing) => parseNumber(listing.estimated_monthly_revenue, NaN) },
+  reviews_in_window: { type: 'number', get: (listing) => parseNumber(listing.reviews_in_window, NaN) },
+  review_velocity: { type: 'number', get: (listing) => parseNumber(listing.review_velocity, NaN) },
+};
+
+/**
+ * Operators accepted for each field type.
+ * @memberof module:Filters
+ */
+export const OPERATORS = {
+  number: ['eq', 'min', 'max', 'in', 'notIn'],
+  string: ['eq', 'in', 'notIn', 'search'],
+  boolean: ['eq'],
+  list: ['contains', 'containsAny', 'excludes'],
+  text: ['search'],
+};
+
+/**
+ * Shorthand keys kept for backward compatibility, mapped to `[field, operator]`.
+ * @memberof module:Filters
+ */
+export const LEGACY_KEYS = {
+  minPrice: ['price', 'min'],
+  maxPrice: ['price', 'max'],
+  minRooms: ['bedrooms', 'min'],
+  maxRooms: ['bedrooms', 'max'],
+  minReviewScore: ['review_scores_rating', 'min'],
+  maxReviewScore: ['review_scores_rating', 'max'],
+};
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Great-circle distance between two coordinates.
+ * @memberof module:Filters
+ * @param {number} lat1 - Latitude of the first point, in degrees.
+ * @param {number} lng1 - Longitude of the first point, in degrees.
+ * @param {number} lat2 - Latitude of the second point, in degrees.
+ * @param {number} lng2 - Longitude of the second point, in degrees.
+ * @returns {number} - The distance in kilometres.
+ */
+export const haversineKm = (lat1, lng1, lat2, lng2) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+const invalid = (path, message) => new Error(`Invalid criteria at "${path}": ${message}`);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isSet = (value) => value !== undefined && value !== null;
+
+/**
+ * Checks that an operand has the type expected by the field.
+ * @param {string} type - The field type.
+ * @param {*} operand - The operand to check.
+ * @param {string} path - Location of the operand, for error messages.
+ */
+const checkOperand = (type, operand, path) => {
+  const expected = { number: 'number', string: 'string', boolean: 'boolean', list: 'string', text: 'string' }[type];
+  const ok = expected === 'number' ? typeof operand === 'number' && Number.isFinite(operand) : typeof operand === expected;
+  if (!ok) {
+    throw invalid(path, `expected a ${expected}, got ${JSON.stringify(operand)}`);
+  }
+};
+
+const asList = (operand) => (Array.isArray(operand) ? operand : [operand]);
+
+/**
+ * Compiles a single field condition into a predicate.
+ * Scalars mean equality, arrays mean "one of", objects list operators that must all hold.
+ * @param {string} field - The field name.
+ * @param {*} condition - The condition.
+ * @param {string} path - Location of the condition, for error messages.
+ * @param {Object} priceOptions - Options passed to {@link module:Utils.parsePrice}.
+ * @returns {function(Object): boolean} - The predicate.
+ */
+const compileField = (field, condition, path, priceOptions) => {
+  if (!Object.hasOwn(FIELDS, field)) {
+    throw invalid(path, `unknown field. Known fields: ${Object.keys(FIELDS).join(', ')}`);
+  }
+  const { type, get } = FIELDS[field];
+  const operators = isPlainObject(condition)
+    ? condition
+    : Array.isArray(condition)
+      ? { [type === 'list' ? 'containsAny' : 'in']: condition }
+      : { [{ list: 'contains', text: 'search' }[type] || 'eq']: condition };
+
+  const checks = Object.entries(operators)
+    .filter(([, operand]) => isSet(operand))
+    .map(([operator, operand]) => {
+      const operatorPath = `${path}.${operator}`;
+      if (!OPERATORS[type].includes(operator)) {
+        throw invalid(operatorPath, `operator not supported for ${type} field "${field}". Use one of: ${OPERATORS[type].join(', ')}`);
+      }
+      const operands = ['in', 'notIn', 'contains', 'containsAny', 'excludes'].includes(operator) ? asList(operand) : [operand];
+      operands.forEach((value, index) => checkOperand(type, value, operands.length > 1 ? `${operatorPath}[${index}]` : operatorPath));
+
+      const needles = operands.map((value) => (typeof value === 'string' ? value.toLowerCase() : value));
+      const normalize = (value) => (typeof value === 'string' ? value.toLowerCase() : value);
+      switch (operator) {
+        case 'eq':
+          return (value) => normalize(value) === needles[0];
+        case 'min':
+          return (value) => value >= operand;
+        case 'max':
+          return (value) => value <= operand;
+        case 'in':
+          return (value) => needles.includes(normalize(value));
+        case 'notIn':
+          return (value) => !needles.includes(normalize(value));
+        case 'search':
+          return (value) => normalize(value).includes(needles[0]);
+        case 'contains':
+          return (value) => needles.every((needle) => value.includes(needle));
+        case 'containsAny':
+          return (value) => needles.some((needle) => value.includes(needle));
+        case 'excludes':
+          return (value) => !needles.some((needle) => value.includes(needle));
+        default:
+          throw invalid(operatorPath, 'unsupported operator');
+      }
+    });
+
+  return (listing) => {
+    const value = get(listing, priceOptions);
+    return checks.every((check) => check(value));
+  };
+};
+
+/**
+ * Compiles a bounding-box condition `{ minLat, maxLat, minLng, maxLng }`.
+ * @param {Object} box - The bounding box.
+ * @param {string} path - Location of the condition, for error messages.
+ * @returns {function(Object): boolean} - The predicate.
+ */
+const compileBoundingBox = (box, path) => {
+  if (!isPlainObject(box)) throw invalid(path, 'expected { minLat, maxLat, minLng, maxLng }');
+  ['minLat', 'maxLat', 'minLng', 'maxLng'].forEach((key) => checkOperand('number', box[key], `${path}.${key}`));
+  return (listing) => {
+    const lat = FIELDS.latitude.get(listing);
+    const lng = FIELDS.longitude.get(listing);
+    return lat >= box.minLat && lat <= box.maxLat && lng >= box.minLng && lng <= box.maxLng;
+  };
+};
+
+/**
+ * Compiles a radius condition `{ lat, lng, radiusKm }`.
+ * @param {Object} circle - Centre and radius.
+ * @param {string} path - Location of the condition, for error messages.
+ * @returns {function(Object): boolean} - The predicate.
+ */
+const compileRadius = (circle, path) => {
+  if (!isPlainObject(circle)) throw invalid(path, 'expected { lat, lng, radiusKm }');
+  ['lat', 'lng', 'radiusKm'].forEach((key) => checkOperand('number', circle[key], `${path}.${key}`));
+  return (listing) => {
+    const lat = FIELDS.latitude.get(listing);
+    const lng = FIELDS.longitude.get(listing);
+    return Number.isFinite(lat) && Number.isFinite(lng) && haversineKm(circle.lat, circle.lng, lat, lng) <= circle.radiusKm;
+  };
+};
+
+/**
+ * Compiles a criteria object into a predicate. Keys of one object are combined with AND.
+ * @param {Object} criteria - The criteria.
+ * @param {string} path - Location of the criteria, for error messages.
+ * @param {Object} priceOptions - Options passed to {@link module:Utils.parsePrice}.
+ * @returns {function(Object): boolean} - The predicate.
+ */
+const compile = (criteria, path, priceOptions) => {
+  if (!isPlainObject(criteria)) {
+    throw invalid(path, 'expected an object');
+  }
+  const predicates = Object.entries(criteria)
+    .filter(([, value]) => isSet(value))
+    .map(([key, value]) => {
+      const keyPath = path ? `${path}.${key}` : key;
+      if (key === 'and' || key === 'or') {
+        if (!Array.isArray(value)) throw invalid(keyPath, 'expected an array of criteria');
+        const parts = value.map((part, index) => compile(part, `${keyPath}[${index}]`, priceOptions));
+        return key === 'and'
+          ? (listing) => parts.every((part) => part(listing))
+          : (listing) => parts.some((part) => part(listing));
+      }
+      if (key === 'not') {
+        const part = compile(value, keyPath, priceOptions);
+        return (listing) => !part(listing);
+      }
+      if (key === 'bbox') return compileBoundingBox(value, keyPath);
+      if (key === 'near') return compileRadius(value, keyPath);
+      if (Object.hasOwn(LEGACY_KEYS, key)) {
+        const [field, operator] = LEGACY_KEYS[key];
+        return compileField(field, { [operator]: value }, keyPath, priceOptions);
+      }
+      return compileField(key, value, keyPath, priceOptions);
+    });
+  return (listing) => predicates.every((predicate) => predicate(listing));
+};
+
+/**
+ * Builds a predicate that tells whether a listing matches the given criteria.
+ *
+ * Criteria are plain objects whose keys are combined with AND:
+ * - field conditions, e.g. `{ room_type: 'Entire home/apt' }`, `{ neighbourhood: ['Mitte', 'Pankow'] }`,
+ *   `{ price: { min: 50, max: 200 } }`, `{ amenities: { contains: ['Wifi'] } }`, `{ text: 'balcony' }`;
+ * - `and` / `or` arrays and `not` objects for composition;
+ * - `bbox: { minLat, maxLat, minLng, maxLng }` and `near: { lat, lng, radiusKm }` geographic filters;
+ * - the legacy `minPrice`, `maxPrice`, `minRooms`, `maxRooms`, `minReviewScore`, `maxReviewScore` keys.
+ *
+ * Unknown fields, unsupported operators and wrongly typed operands throw an Error immediately.
+ * Price bounds are compared with prices parsed using `priceOptions`, so they are expressed in the
+ * reporting currency when one is set.
+ * @memberof module:Filters
+ * @param {Object} [criteria={}] - The criteria.
+ * @param {Object} [priceOptions={}] - Options passed to {@link module:Utils.parsePrice}.
+ * @returns {function(Object): boolean} - The listing predicate.
+ */
+export const createListingFilter = (criteria = {}, priceOptions = {}) => compile(criteria, '', priceOptions);
+
+/**
+ * Validates criteria without filtering anything.
+ * @memberof module:Filters
+ * @param {Object} criteria - The criteria.
+ * @returns {Object} - The same criteria, when valid.
+ */
+export const validateCriteria = (criteria) => {
+  createListingFilter(criteria);
+  return criteria;
+};
+
+const LIST_OPERATORS = ['in', 'notIn', 'contains', 'containsAny', 'excludes'];
+
+/**
+ * Reads a query-string value as the operand type of a field; values that do not convert are kept
+ * as text so validation reports them.
+ * @param {string} type - The field type.
+ * @param {string} value - The raw value.
+ * @returns {*} - The operand.
+ */
+const queryOperand = (type, value) => {
+  if (type === 'number') {
+    return value.trim() !== '' && Number.isFinite(Number(value)) ? Number(value) : value;
+  }
+  if (type === 'boolean') {
+    return parseBoolean(value) ?? value;
+  }
+  return value;
+};
+
+const queryNumbers = (value, keys) => {
+  const numbers = value.split(',').map((part) => queryOperand('number', part));
+  return Object.fromEntries(keys.map((key, index) => [key, numbers[index]]));
+};
+
+/**
+ * Turns query-string parameters into criteria for {@link module:Filters.createListingFilter}:
+ *
+ * - `field=value` means equality (repeat the parameter for "one of"), e.g. `room_type=Private%20room`;
+ * - `field.operator=value` sets an operator, e.g. `price.min=50`, `neighbourhood.in=Mitte,Pankow`
+ *   (list operators take comma-separated values);
+ * - the legacy keys, e.g. `minPrice=50`;
+ * - `bbox=minLat,maxLat,minLng,maxLng` and `near=lat,lng,radiusKm`;
+ * - `filter=<json>` for any other criteria, combined with the rest using AND.
+ *
+ * The result is not validated; pass it to {@link module:Filters.validateCriteria}.
+ * @memberof module:Filters
+ * @param {URLSearchParams|Iterable<[string, string]>} params - The parameters.
+ * @returns {Object} - The criteria.
+ */
+export const criteriaFromQuery = (params) => {
+  const criteria = {};
+  const filters = [];
+  for (const [key, value] of params) {
+    const [field, operator] = key.split('.');
+    if (key === 'filter') {
+      try {
+        filters.push(JSON.parse(value));
+      } catch (error) {
+        throw new Error(`Invalid criteria at "filter": ${error.message}`);
+      }
+    } else if (key === 'bbox') {
+      criteria.bbox = queryNumbers(value, ['minLat', 'maxLat', 'minLng', 'maxLng']);
+    } else if (key === 'near') {
+      criteria.near = queryNumbers(value, ['lat', 'lng', 'radiusKm']);
+    } else if (Object.hasOwn(LEGACY_KEYS, key)) {
+      criteria[key] = queryOperand('number', value);
+    } else if (Object.hasOwn(FIELDS, field) && operator) {
+      const { type } = FIELDS[field];
+      const operand = LIST_OPERATORS.includes(operator)
+        ? value.split(',').map((part) => queryOperand(type, part.trim())).filter((part) => part !== '')
+        : queryOperand(type, value);
+      const existing = criteria[field];
+      criteria[field] = { ...(existing && !Array.isArray(existing) && typeof existing === 'object' ? existing : {}), [operator]: operand };
+    } else if (Object.hasOwn(FIELDS, field)) {
+      const operand = queryOperand(FIELDS[field].type, value);
+      criteria[field] = Object.hasOwn(criteria, field) ? [].concat(criteria[field], operand) : operand;
+    } else {
+      throw new Error(`Unknown query parameter "${key}".`);
+    }
+  }
+  return filters.length > 0 ? { ...criteria, and: filters } : criteria;
+};
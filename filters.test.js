@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { createListingFilter, criteriaFromQuery, validateCriteria } from './filters.js';
+
+const LISTINGS = [
+  { id: '1', price: '$80.00', bedrooms: '1', room_type: 'Private room', neighbourhood_cleansed: 'Mitte', host_is_superhost: 't', amenities: '["Wifi", "Kitchen"]', name: 'Sunny room', latitude: '52.52', longitude: '13.40' },
+  { id: '2', price: '$150.00', bedrooms: '2', room_type: 'Entire home/apt', neighbourhood_cleansed: 'Pankow', host_is_superhost: 'f', amenities: '["Wifi"]', name: 'Quiet flat with balcony', latitude: '52.57', longitude: '13.41' },
+  { id: '3', price: '$300.00', bedrooms: '', room_type: 'Entire home/apt', neighbourhood_cleansed: 'Mitte', host_is_superhost: 't', amenities: '[]', name: 'Loft', latitude: '48.14', longitude: '11.58' },
+];
+
+const ids = (criteria) => LISTINGS.filter(createListingFilter(criteria)).map((listing) => listing.id);
+
+describe('createListingFilter', () => {
+  it('combines field conditions with AND', () => {
+    assert.deepEqual(ids({ room_type: 'Entire home/apt', price: { max: 200 } }), ['2']);
+    assert.deepEqual(ids({ neighbourhood: ['Mitte', 'Pankow'], host_is_superhost: true }), ['1', '3']);
+  });
+
+  it('supports and, or and not', () => {
+    assert.deepEqual(ids({ or: [{ price: { max: 100 } }, { bedrooms: { min: 2 } }] }), ['1', '2']);
+    assert.deepEqual(ids({ not: { neighbourhood: 'Mitte' } }), ['2']);
+    assert.deepEqual(ids({ and: [{ amenities: { contains: 'Wifi' } }, { text: 'balcony' }] }), ['2']);
+  });
+
+  it('keeps the legacy keys and reads a blank bedroom count as one', () => {
+    assert.deepEqual(ids({ minPrice: 100, maxRooms: 1 }), ['3']);
+  });
+
+  it('filters by bounding box and distance', () => {
+    assert.deepEqual(ids({ bbox: { minLat: 52, maxLat: 53, minLng: 13, maxLng: 14 } }), ['1', '2']);
+    assert.deepEqual(ids({ near: { lat: 52.52, lng: 13.4, radiusKm: 2 } }), ['1']);
+  });
+});
+
+describe('validateCriteria', () => {
+  it('rejects unknown fields with the known ones', () => {
+    assert.throws(() => validateCriteria({ colour: 'red' }), /Invalid criteria at "colour": unknown field\. Known fields: price, /);
+  });
+
+  it('rejects inherited property names as fields', () => {
+    assert.throws(() => validateCriteria({ constructor: 'x' }), /unknown field/);
+    assert.throws(() => validateCriteria({ toString: { eq: 1 } }), /unknown field/);
+  });
+
+  it('rejects operators the field type does not support', () => {
+    assert.throws(() => validateCriteria({ room_type: { min: 2 } }), /"room_type\.min": operator not supported for string field/);
+  });
+
+  it('rejects wrongly typed operands with their path', () => {
+    assert.throws(() => validateCriteria({ or: [{ price: { min: 'cheap' } }] }), /"or\[0\]\.price\.min": expected a number/);
+    assert.throws(() => validateCriteria({ and: {} }), /"and": expected an array of criteria/);
+  });
+
+  it('returns valid criteria unchanged', () => {
+    const criteria = { price: { min: 50 }, neighbourhood: { in: ['Mitte'] } };
+    assert.equal(validateCriteria(criteria), criteria);
+  });
+});
+
+describe('criteriaFromQuery', () => {
+  it('reads operators, repeated values and legacy keys', () => {
+    const criteria = criteriaFromQuery(new URLSearchParams('price.min=50&room_type=Private%20room&room_type=Shared%20room&maxRooms=2'));
+    assert.deepEqual(criteria, {
+      price: { min: 50 },
+      room_type: ['Private room', 'Shared room'],
+      maxRooms: 2,
+    });
+  });
+
+  it('leaves unconvertible values for validation to report', () => {
+    assert.throws(() => validateCriteria(criteriaFromQuery(new URLSearchParams('price.min=cheap'))), /expected a number/);
+  });
+});
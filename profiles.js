@@ -0,0 +1,138 @@
+/**
+ * @module Profiles
+ */
+
+import { readFileSync } from 'fs';
+import path from 'path';
+import { validateCriteria } from './filters.js';
+import { createHostRankingAccumulator } from './aggregators.js';
+import { EXPORT_FORMATS } from './exporters.js';
+import { INVALID_ROW_POLICIES } from './schema.js';
+
+/**
+ * Reports a run can compute and print.
+ * @memberof module:Profiles
+ */
+export const REPORTS = ['quality', 'listings', 'statistics', 'hosts'];
+
+/**
+ * Config file read when no other is given, relative to the working directory.
+ * @memberof module:Profiles
+ */
+export const DEFAULT_CONFIG_FILE = 'airbnb-profiles.json';
+
+const PROFILE_KEYS = ['description', 'criteria', 'reports', 'groupBy', 'hostRanking', 'prices', 'onInvalid', 'export'];
+const HOST_RANKING_KEYS = ['sortBy', 'order', 'tieBreakers', 'topN', 'commercialThreshold'];
+const PRICE_KEYS = ['locale', 'currency', 'reportingCurrency', 'rates'];
+const EXPORT_KEYS = ['format', 'output', 'columns', 'gzip', 'hostLimit'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+
+/**
+ * Checks that an object only uses known keys.
+ * @param {Object} value - The object.
+ * @param {string[]} keys - Allowed keys.
+ * @param {string} where - Location, for error messages.
+ */
+const checkKeys = (value, keys, where) => {
+  if (!isPlainObject(value)) {
+    throw new Error(`${where} must be an object.`);
+  }
+  const unknown = Object.keys(value).find((key) => !keys.includes(key));
+  if (unknown) {
+    throw new Error(`${where} has an unknown key "${unknown}". Use: ${keys.join(', ')}.`);
+  }
+};
+
+/**
+ * Validates one profile and fills in its defaults.
+ * @memberof module:Profiles
+ * @param {string} name - The profile name.
+ * @param {Object} profile - The profile as written in the config file.
+ * @returns {Object} - The profile with `name`, `criteria`, `reports`, `groupBy`, `hostRanking`, `prices` and `export` set.
+ */
+export const validateProfile = (name, profile) => {
+  const where = `Profile "${name}"`;
+  checkKeys(profile, PROFILE_KEYS, where);
+  const {
+    description = '',
+    criteria = {},
+    reports = REPORTS,
+    groupBy = [],
+    hostRanking = {},
+    prices = {},
+    onInvalid,
+    export: exportOptions = {},
+  } = profile;
+
+  try {
+    validateCriteria(criteria);
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`);
+  }
+  if (!isStringList(reports) || reports.some((report) => !REPORTS.includes(report))) {
+    throw new Error(`${where}: "reports" must list some of: ${REPORTS.join(', ')}.`);
+  }
+  if (!isStringList(groupBy) || groupBy.length > 2) {
+    throw new Error(`${where}: "groupBy" must list at most two columns.`);
+  }
+  checkKeys(hostRanking, HOST_RANKING_KEYS, `${where} "hostRanking"`);
+  try {
+    createHostRankingAccumulator(hostRanking);
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`);
+  }
+  checkKeys(prices, PRICE_KEYS, `${where} "prices"`);
+  if (onInvalid !== undefined && !INVALID_ROW_POLICIES.includes(onInvalid)) {
+    throw new Error(`${where}: "onInvalid" must be one of: ${INVALID_ROW_POLICIES.join(', ')}.`);
+  }
+  checkKeys(exportOptions, EXPORT_KEYS, `${where} "export"`);
+  if (exportOptions.format !== undefined && !EXPORT_FORMATS.includes(exportOptions.format)) {
+    throw new Error(`${where}: export "format" must be one of: ${EXPORT_FORMATS.join(', ')}.`);
+  }
+  if (exportOptions.columns !== undefined && !isStringList(exportOptions.columns)) {
+    throw new Error(`${where}: export "columns" must be a list of column names.`);
+  }
+
+  return { name, description, criteria, reports, groupBy, hostRanking, prices, onInvalid, export: exportOptions };
+};
+
+/**
+ * Reads the named analysis profiles of a config file:
+ * `{ "profiles": { "<name>": { criteria, reports, groupBy, hostRanking, prices, onInvalid, export } } }`.
+ * Every profile is validated when the file is read, so a typo fails before any data is loaded.
+ * @memberof module:Profiles
+ * @param {string} [configPath=DEFAULT_CONFIG_FILE] - The config file.
+ * @returns {Object<string, Object>} - Validated profiles by name, see {@link module:Profiles.validateProfile}.
+ */
+export const loadProfiles = (configPath = DEFAULT_CONFIG_FILE) => {
+  let config;
+  try {
+    config = JSON.parse(readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read profiles from ${path.resolve(configPath)}: ${error.message}`);
+  }
+  if (!isPlainObject(config) || !isPlainObject(config.profiles)) {
+    throw new Error(`${configPath} must contain a "profiles" object.`);
+  }
+  return Object.fromEntries(
+    Object.entries(config.profiles).map(([name, profile]) => [name, validateProfile(name, profile)])
+  );
+};
+
+/**
+ * Picks one profile by name.
+ * @memberof module:Profiles
+ * @param {Object<string, Object>} profiles - Profiles returned by {@link module:Profiles.loadProfiles}.
+ * @param {string} name - The profile name.
+ * @returns {Object} - The profile.
+ */
+export const getProfile = (profiles, name) => {
+  if (!profiles[name]) {
+    const available = Object.keys(profiles);
+    throw new Error(`Unknown profile "${name}". ${available.length > 0 ? `Available: ${available.join(', ')}.` : 'No profiles are defined.'}`);
+  }
+  return profiles[name];
+};
@@ -0,0 +1,196 @@
+/**
+ * @module Schema
+ */
+
+import { parseBoolean, parseCurrency } from './utils.js';
+
+/**
+ * Column rules for the Inside Airbnb `listings.csv` format.
+ * Each rule has a `type` (integer, number, price, boolean, enum, string), optional `min`/`max` or
+ * `values`, whether the column must be present (`required`) and whether blank values are allowed (`nullable`).
+ * Columns not listed here are accepted as they are.
+ * @memberof module:Schema
+ */
+export const LISTINGS_SCHEMA = {
+  id: { type: 'integer', required: true, nullable: false },
+  host_id: { type: 'integer', required: true, nullable: false },
+  host_name: { type: 'string', required: true, nullable: true },
+  price: { type: 'price', required: true, nullable: false, min: 0 },
+  room_type: {
+    type: 'enum',
+    required: true,
+    nullable: false,
+    values: ['Entire home/apt', 'Private room', 'Shared room', 'Hotel room'],
+  },
+  bedrooms: { type: 'number', required: true, nullable: true, min: 0 },
+  accommodates: { type: 'integer', nullable: true, min: 0 },
+  review_scores_rating: { type: 'number', nullable: true, min: 0, max: 5 },
+  availability_365: { type: 'integer', nullable: true, min: 0, max: 365 },
+  minimum_nights: { type: 'integer', nullable: true, min: 1 },
+  latitude: { type: 'number', nullable: true, min: -90, max: 90 },
+  longitude: { type: 'number', nullable: true, min: -180, max: 180 },
+  host_is_superhost: { type: 'boolean', nullable: true },
+  instant_bookable: { type: 'boolean', nullable: true },
+  calculated_host_listings_count: { type: 'integer', nullable: true, min: 0 },
+};
+
+/**
+ * What to do with rows that break the schema: keep them, drop them, or fail the load.
+ * @memberof module:Schema
+ */
+export const INVALID_ROW_POLICIES = ['keep', 'drop', 'fail'];
+
+const MAX_EXAMPLES = 10;
+
+/**
+ * Reads a value according to its type.
+ * @param {string} type - The rule type.
+ * @param {string} text - The trimmed, non-blank value.
+ * @returns {number|boolean|string|undefined} - The typed value, or undefined when it does not match the type.
+ */
+const readValue = (type, text) => {
+  switch (type) {
+    case 'integer':
+      return /^-?\d+$/.test(text) ? Number(text) : undefined;
+    case 'number':
+      return Number.isFinite(Number(text)) ? Number(text) : undefined;
+    case 'price': {
+      const { amount } = parseCurrency(text);
+      return Number.isFinite(amount) ? amount : undefined;
+    }
+    case 'boolean':
+      return parseBoolean(text);
+    default:
+      return text;
+  }
+};
+
+/**
+ * Checks one value against its rule.
+ * @param {Object} rule - The column rule.
+ * @param {string} value - The raw value.
+ * @returns {'null'|string|null} - `'null'` for a blank value, an error description for an invalid one,
+ * or null when the value is valid.
+ */
+const checkValue = (rule, value) => {
+  const text = String(value ?? '').trim();
+  if (text === '') {
+    return 'null';
+  }
+  const typed = readValue(rule.type, text);
+  if (typed === undefined) {
+    return `"${text}" is not a valid ${rule.type}`;
+  }
+  if (rule.type === 'enum' && !rule.values.includes(text)) {
+    return `"${text}" is not one of ${rule.values.join(', ')}`;
+  }
+  if (rule.min !== undefined && typed < rule.min) {
+    return `${typed} is below the minimum of ${rule.min}`;
+  }
+  if (rule.max !== undefined && typed > rule.max) {
+    return `${typed} is above the maximum of ${rule.max}`;
+  }
+  return null;
+};
+
+/**
+ * Creates a validator that checks rows against a schema one at a time and builds a data-quality
+ * report: missing columns, per-column null and invalid counts, duplicate ids and example bad rows.
+ * Columns are read from the first row; until a row is checked, every required column counts as missing.
+ * @memberof module:Schema
+ * @param {Object} [options] - Validation options.
+ * @param {Object} [options.schema=LISTINGS_SCHEMA] - The column rules.
+ * @param {'keep'|'drop'|'fail'} [options.policy='keep'] - Policy reported with the results.
+ * @param {string} [options.idColumn='id'] - Column whose values must be unique.
+ * @returns {{check: function(Object): string[], report: function(): Object}} - `check` returns the
+ * row's errors (empty when valid); `report` returns the data-quality report.
+ */
+export const createDataQualityValidator = ({ schema = LISTINGS_SCHEMA, policy = 'keep', idColumn = 'id' } = {}) => {
+  if (!INVALID_ROW_POLICIES.includes(policy)) {
+    throw new Error(`Unknown invalid row policy "${policy}". Use one of: ${INVALID_ROW_POLICIES.join(', ')}.`);
+  }
+  const columns = Object.fromEntries(Object.keys(schema).map((column) => [column, { nulls: 0, invalid: 0 }]));
+  const seenIds = new Set();
+  const duplicateIds = new Set();
+  const examples = [];
+  let presentRules = null;
+  let missingColumns = [];
+  let totalRows = 0;
+  let invalidRows = 0;
+
+  const check = (row) => {
+    if (!presentRules) {
+      missingColumns = Object.entries(schema)
+        .filter(([column, rule]) => rule.required && !(column in row))
+        .map(([column]) => column);
+      presentRules = Object.entries(schema).filter(([column]) => column in row);
+    }
+    totalRows += 1;
+
+    const errors = presentRules.reduce((acc, [column, rule]) => {
+      const problem = checkValue(rule, row[column]);
+      if (problem === 'null') {
+        columns[column].nulls += 1;
+        if (!rule.nullable) acc.push(`${column}: missing value`);
+      } else if (problem) {
+        columns[column].invalid += 1;
+        acc.push(`${column}: ${problem}`);
+      }
+      return acc;
+    }, []);
+
+    const id = row[idColumn];
+    if (id !== undefined && id !== '') {
+      if (seenIds.has(id)) {
+        duplicateIds.add(id);
+        errors.push(`${idColumn}: duplicate value "${id}"`);
+      } else {
+        seenIds.add(id);
+      }
+    }
+
+    if (errors.length > 0) {
+      invalidRows += 1;
+      if (examples.length < MAX_EXAMPLES) {
+        examples.push({ row: totalRows, id: id ?? null, errors });
+      }
+    }
+    return errors;
+  };
+
+  const report = () => ({
+    policy,
+    totalRows,
+    validRows: totalRows - invalidRows,
+    invalidRows,
+    // Without a row there is nothing to read the columns from, so a header-only or empty file lacks them all.
+    missingColumns: presentRules ? missingColumns : Object.keys(schema).filter((column) => schema[column].required),
+    columns: Object.fromEntries(
+      Object.entries(columns).filter(([column]) => !presentRules || presentRules.some(([present]) => present === column))
+    ),
+    duplicateIds: { count: duplicateIds.size, examples: [...duplicateIds].slice(0, MAX_EXAMPLES) },
+    examples,
+  });
+
+  return { check, report };
+};
+
+/**
+ * Builds the error thrown by the `fail` policy, with the report attached as `error.report`.
+ * @memberof module:Schema
+ * @param {Object} report - The data-quality report so far.
+ * @returns {Error} - The error.
+ */
+export const dataQualityError = (report) => {
+  const problems = [];
+  if (report.totalRows === 0) {
+    problems.push('no rows');
+  } else if (report.missingColumns.length > 0) {
+    problems.push(`missing columns: ${report.missingColumns.join(', ')}`);
+  }
+  if (report.invalidRows > 0) {
+    const [first] = report.examples;
+    problems.push(`${report.invalidRows} invalid row(s), e.g. row ${first.row}: ${first.errors.join('; ')}`);
+  }
+  return Object.assign(new Error(`Data quality check failed: ${problems.join('; ')}.`), { report });
+};
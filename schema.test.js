@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { createDataQualityValidator, dataQualityError } from './schema.js';
+
+const row = (fields = {}) => ({
+  id: '1',
+  host_id: '10',
+  host_name: 'Ann',
+  price: '$100.00',
+  room_type: 'Private room',
+  bedrooms: '1',
+  ...fields,
+});
+
+describe('createDataQualityValidator', () => {
+  it('accepts valid rows', () => {
+    const validator = createDataQualityValidator();
+    assert.deepEqual(validator.check(row()), []);
+    assert.deepEqual(validator.check(row({ id: '2', host_name: '', review_scores_rating: '4.8' })), []);
+    const report = validator.report();
+    assert.deepEqual([report.totalRows, report.validRows, report.invalidRows], [2, 2, 0]);
+    assert.deepEqual(report.missingColumns, []);
+    assert.equal(report.columns.host_name.nulls, 1);
+  });
+
+  it('reports type, range, enum and missing value errors', () => {
+    const validator = createDataQualityValidator();
+    const errors = validator.check(row({
+      id: 'abc',
+      price: '',
+      room_type: 'Castle',
+      bedrooms: '-1',
+      review_scores_rating: '7',
+    }));
+    assert.deepEqual(errors, [
+      'id: "abc" is not a valid integer',
+      'price: missing value',
+      'room_type: "Castle" is not one of Entire home/apt, Private room, Shared room, Hotel room',
+      'bedrooms: -1 is below the minimum of 0',
+      'review_scores_rating: 7 is above the maximum of 5',
+    ]);
+    const report = validator.report();
+    assert.equal(report.invalidRows, 1);
+    assert.deepEqual(report.examples, [{ row: 1, id: 'abc', errors }]);
+  });
+
+  it('flags duplicate ids', () => {
+    const validator = createDataQualityValidator();
+    validator.check(row());
+    assert.deepEqual(validator.check(row()), ['id: duplicate value "1"']);
+    assert.deepEqual(validator.report().duplicateIds, { count: 1, examples: ['1'] });
+  });
+
+  it('reports required columns missing from the first row', () => {
+    const validator = createDataQualityValidator();
+    const partial = row();
+    delete partial.room_type;
+    delete partial.bedrooms;
+    validator.check(partial);
+    const report = validator.report();
+    assert.deepEqual(report.missingColumns, ['room_type', 'bedrooms']);
+    assert.equal(report.columns.room_type, undefined);
+  });
+
+  it('treats a file without rows as missing every required column', () => {
+    const report = createDataQualityValidator({ policy: 'fail' }).report();
+    assert.equal(report.totalRows, 0);
+    assert.deepEqual(report.missingColumns, ['id', 'host_id', 'host_name', 'price', 'room_type', 'bedrooms']);
+    assert.match(dataQualityError(report).message, /^Data quality check failed: no rows\.$/);
+  });
+
+  it('rejects unknown policies', () => {
+    assert.throws(() => createDataQualityValidator({ policy: 'ignore' }), /Unknown invalid row policy "ignore"/);
+  });
+});
+
+describe('dataQualityError', () => {
+  it('summarises the problems and attaches the report', () => {
+    const validator = createDataQualityValidator({ policy: 'fail' });
+    validator.check({ id: '1', host_id: '10', price: 'free', room_type: 'Private room' });
+    const error = dataQualityError(validator.report());
+    assert.equal(
+      error.message,
+      'Data quality check failed: missing columns: host_name, bedrooms; 1 invalid row(s), e.g. row 1: price: "free" is not a valid price.'
+    );
+    assert.equal(error.report.policy, 'fail');
+  });
+});
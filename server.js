@@ -0,0 +1,349 @@
+/**
+ * @module Server
+ */
+
+import http from 'http';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import zlib from 'zlib';
+import AirBnBDataHandler from './AirBnBDataHandler.js';
+import { FIELDS, criteriaFromQuery, validateCriteria } from './filters.js';
+import { createHostRankingAccumulator } from './aggregators.js';
+import { EXPORT_FORMATS, renderExport } from './exporters.js';
+import { datasetName } from './utils.js';
+
+const CONTENT_TYPES = {
+  json: 'application/json; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  md: 'text/markdown; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+};
+
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Creates an error answered with the given HTTP status.
+ * @param {number} statusCode - The HTTP status.
+ * @param {string} message - The error message.
+ * @returns {Error} - The error.
+ */
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+/**
+ * Name a dataset is served under: the given `name=path` prefix, or the file name without
+ * its `.csv`, `.gz` and `.zip` extensions.
+ * @memberof module:Server
+ * @param {string} source - `path` or `name=path`.
+ * @returns {{name: string, filePath: string}} - The dataset name and file path.
+ */
+export const parseDatasetSource = (source) => {
+  const match = /^([\w-]+)=(.+)$/.exec(source);
+  if (match) {
+    return { name: match[1], filePath: match[2] };
+  }
+  return { name: datasetName(source), filePath: source };
+};
+
+/**
+ * Loads every file once with `loadData`, one after the other.
+ * @memberof module:Server
+ * @param {string[]} sources - Files to load, as `path` or `name=path`.
+ * @param {Object} [options] - Loading options.
+ * @param {Object} [options.prices] - Price options, as accepted by {@link module:AirBnBDataHandler}.
+ * @param {string|string[]} [options.entries] - For .zip files, the CSV entry to load.
+ * @param {'keep'|'drop'|'fail'} [options.onInvalid] - Invalid row policy, as accepted by `loadData`.
+ * @param {boolean|{dir: string}} [options.cache] - Parsed dataset cache, as accepted by `loadData`.
+ * @returns {Promise<Map<string, Object>>} - `{ name, filePath, handler, loadedAt }` by dataset name.
+ */
+export const loadDatasets = async (sources, { prices = {}, entries, onInvalid, cache } = {}) => {
+  const datasets = new Map();
+  for (const source of sources) {
+    const { name, filePath } = parseDatasetSource(source);
+    if (datasets.has(name)) {
+      throw new Error(`Two files are served as "${name}". Name them explicitly with name=path.`);
+    }
+    const handler = await AirBnBDataHandler(filePath, prices).loadData({ entries, onInvalid, cache });
+    datasets.set(name, { name, filePath, handler, loadedAt: new Date().toISOString() });
+  }
+  return datasets;
+};
+
+/**
+ * Reads a positive integer query parameter.
+ * @param {URLSearchParams} params - The query parameters.
+ * @param {string} name - The parameter name.
+ * @param {number} [defaultValue] - Value used when the parameter is absent.
+ * @returns {number|undefined} - The integer.
+ */
+const positiveInteger = (params, name, defaultValue) => {
+  if (!params.has(name)) return defaultValue;
+  const value = Number(params.get(name));
+  if (!Number.isInteger(value) || value < 1) {
+    throw httpError(400, `Query parameter "${name}" expects a positive integer, got "${params.get(name)}".`);
+  }
+  return value;
+};
+
+const oneOf = (params, name, values, defaultValue) => {
+  if (!params.has(name)) return defaultValue;
+  const value = params.get(name);
+  if (!values.includes(value)) {
+    throw httpError(400, `Query parameter "${name}" expects one of: ${values.join(', ')}, got "${value}".`);
+  }
+  return value;
+};
+
+const list = (params, name) => (params.get(name) || '').split(',').map((item) => item.trim()).filter(Boolean);
+
+const groupByParam = (params) => {
+  const groupBy = list(params, 'groupBy');
+  if (groupBy.length > 2) {
+    throw httpError(400, 'Query parameter "groupBy" accepts at most two columns.');
+  }
+  return groupBy;
+};
+
+/**
+ * Host ranking options from `rankBy`, `order`, `top` and `commercialThreshold`.
+ * @param {URLSearchParams} params - The query parameters.
+ * @returns {Object} - Options for `computeHostRanking`.
+ */
+const hostRankingOptions = (params) => {
+  const options = {
+    sortBy: params.get('rankBy') ?? undefined,
+    order: oneOf(params, 'order', ['asc', 'desc']),
+    topN: positiveInteger(params, 'top'),
+  };
+  if (params.has('commercialThreshold')) {
+    const threshold = Number(params.get('commercialThreshold'));
+    if (params.get('commercialThreshold').trim() === '' || !Number.isFinite(threshold)) {
+      throw httpError(400, `Query parameter "commercialThreshold" expects a number, got "${params.get('commercialThreshold')}".`);
+    }
+    options.commercialThreshold = threshold;
+  }
+  Object.keys(options).forEach((key) => options[key] === undefined && delete options[key]);
+  try {
+    createHostRankingAccumulator(options);
+  } catch (error) {
+    throw httpError(400, error.message);
+  }
+  return options;
+};
+
+/**
+ * Compares listings by a field, missing values last whatever the order.
+ * @param {string} field - Key of {@link module:Filters.FIELDS}.
+ * @param {'asc'|'desc'} order - Sort order.
+ * @param {Object} prices - Price options.
+ * @returns {function(Object, Object): number} - The comparator.
+ */
+const compareListings = (field, order, prices) => {
+  const read = (listing) => {
+    const value = FIELDS[field].get(listing, prices);
+    return value === '' || value === undefined || Number.isNaN(value) ? null : value;
+  };
+  const direction = order === 'desc' ? -1 : 1;
+  return (a, b) => {
+    const [left, right] = [read(a), read(b)];
+    if (left === null || right === null) return (left === null) - (right === null);
+    if (typeof left === 'string') return direction * left.localeCompare(right);
+    return direction * (left - right);
+  };
+};
+
+const SORTABLE_FIELDS = Object.keys(FIELDS).filter((field) => ['number', 'string', 'boolean'].includes(FIELDS[field].type));
+
+/**
+ * API routes: the query parameters each one reads besides `dataset` and the criteria, and how it answers.
+ * Handlers run the handler chain synchronously, so concurrent requests never see each other's filters.
+ */
+const ROUTES = {
+  '/listings': {
+    params: ['page', 'pageSize', 'sort', 'order', 'columns'],
+    handle: ({ handler, criteria, params, prices }) => {
+      const page = positiveInteger(params, 'page', 1);
+      const pageSize = positiveInteger(params, 'pageSize', 50);
+      if (pageSize > MAX_PAGE_SIZE) {
+        throw httpError(400, `Query parameter "pageSize" must be at most ${MAX_PAGE_SIZE}.`);
+      }
+      const sort = oneOf(params, 'sort', SORTABLE_FIELDS);
+      const order = oneOf(params, 'order', ['asc', 'desc'], 'asc');
+      const columns = list(params, 'columns');
+
+      const listings = handler.filterListings(criteria).getFilteredData();
+      const sorted = sort ? [...listings].sort(compareListings(sort, order, prices)) : listings;
+      const items = sorted.slice((page - 1) * pageSize, page * pageSize);
+      return {
+        total: listings.length,
+        page,
+        pageSize,
+        pages: Math.ceil(listings.length / pageSize),
+        sort: sort ? { field: sort, order } : null,
+        listings: columns.length > 0
+          ? items.map((listing) => Object.fromEntries(columns.map((column) => [column, listing[column] ?? null])))
+          : items,
+      };
+    },
+  },
+  '/statistics': {
+    params: ['groupBy'],
+    handle: ({ handler, criteria, params }) =>
+      handler.filterListings(criteria).computeStatistics({ groupBy: groupByParam(params) }).getStatistics(),
+  },
+  '/hosts': {
+    params: ['rankBy', 'order', 'top', 'commercialThreshold'],
+    handle: ({ handler, criteria, params }) => {
+      const hosts = handler.filterListings(criteria).computeHostRanking(hostRankingOptions(params)).getHostRanking();
+      return { total: hosts.length, hosts };
+    },
+  },
+  '/export': {
+    params: ['format', 'gzip', 'columns', 'groupBy', 'rankBy', 'order', 'top', 'commercialThreshold'],
+    handle: ({ handler, criteria, params, name }) => {
+      const format = oneOf(params, 'format', EXPORT_FORMATS, 'json');
+      const gzip = oneOf(params, 'gzip', ['true', 'false', '1', '0'], 'false');
+      const results = handler
+        .filterListings(criteria)
+        .computeStatistics({ groupBy: groupByParam(params) })
+        .computeHostRanking(hostRankingOptions(params))
+        .getResults();
+      const fileName = `${name}.${format}${gzip === 'true' || gzip === '1' ? '.gz' : ''}`;
+      return {
+        download: {
+          fileName,
+          contentType: CONTENT_TYPES[format],
+          gzip: fileName.endsWith('.gz'),
+          chunks: renderExport(results, { format, columns: list(params, 'columns') }),
+        },
+      };
+    },
+  },
+};
+
+const sendJson = (res, statusCode, body) => {
+  res.writeHead(statusCode, { 'Content-Type': CONTENT_TYPES.json });
+  res.end(`${JSON.stringify(body)}\n`);
+};
+
+/**
+ * Creates the HTTP server of the API. Every endpoint answers GET requests with JSON, except
+ * `/export` which downloads a file; errors are JSON too: `{ "error": { "status", "message" } }`.
+ *
+ * - `GET /health`: status, uptime and the loaded datasets;
+ * - `GET /listings`: filtered listings, paginated with `page` and `pageSize` (at most 1000),
+ *   sorted with `sort` (a filterable field) and `order`, projected with `columns`;
+ * - `GET /statistics`: statistics of the filtered listings, broken down by `groupBy`;
+ * - `GET /hosts`: host ranking, with `rankBy`, `order`, `top` and `commercialThreshold`;
+ * - `GET /export`: the results as a `format` file (see {@link module:Exporters.EXPORT_FORMATS}), optionally `gzip`ped.
+ *
+ * `dataset` picks a loaded dataset (default: the first one); every other query parameter is a filter,
+ * see {@link module:Filters.criteriaFromQuery}.
+ * @memberof module:Server
+ * @param {Map<string, Object>} datasets - Datasets returned by {@link module:Server.loadDatasets}.
+ * @param {Object} [options] - Server options.
+ * @param {Object} [options.prices={}] - Price options the datasets were loaded with, used for sorting.
+ * @returns {http.Server} - The server, not yet listening.
+ */
+export const createApiServer = (datasets, { prices = {} } = {}) => {
+  const startedAt = Date.now();
+
+  const health = () => ({
+    status: 'ok',
+    uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+    datasets: [...datasets.values()].map(({ name, filePath, handler, loadedAt }) => ({
+      name,
+      file: filePath,
+      listings: handler.getData().length,
+      loadedAt,
+      fromCache: handler.getCacheInfo()?.hit ?? false,
+      dataQuality: {
+        validRows: handler.getDataQualityReport().validRows,
+        invalidRows: handler.getDataQualityReport().invalidRows,
+      },
+    })),
+  });
+
+  const answer = async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = ROUTES[url.pathname];
+    if (url.pathname !== '/health' && !route) {
+      throw httpError(404, `Unknown endpoint ${url.pathname}. Available: /health, ${Object.keys(ROUTES).join(', ')}.`);
+    }
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      throw httpError(405, `Method ${req.method} not allowed; use GET.`);
+    }
+    if (url.pathname === '/health') {
+      sendJson(res, 200, health());
+      return;
+    }
+
+    const params = url.searchParams;
+    const name = params.get('dataset') ?? datasets.keys().next().value;
+    const dataset = datasets.get(name);
+    if (!dataset) {
+      throw httpError(404, `Unknown dataset "${name}". Available: ${[...datasets.keys()].join(', ')}.`);
+    }
+    let criteria;
+    try {
+      criteria = validateCriteria(criteriaFromQuery(
+        [...params].filter(([key]) => key !== 'dataset' && !route.params.includes(key))
+      ));
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+
+    const body = route.handle({ handler: dataset.handler, criteria, params, prices, name });
+    if (!body.download) {
+      sendJson(res, 200, { dataset: name, criteria, ...body });
+      return;
+    }
+    const { fileName, contentType, gzip, chunks } = body.download;
+    res.writeHead(200, {
+      'Content-Type': gzip ? 'application/gzip' : contentType,
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+    });
+    await pipeline(Readable.from(chunks), ...(gzip ? [zlib.createGzip()] : []), res);
+  };
+
+  return http.createServer((req, res) => {
+    answer(req, res).catch((error) => {
+      const statusCode = error.statusCode || 500;
+      if (statusCode === 500) {
+        console.error(error);
+      }
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      sendJson(res, statusCode, {
+        error: { status: statusCode, message: statusCode === 500 ? 'Internal server error.' : error.message },
+      });
+    });
+  });
+};
+
+/**
+ * Loads the files and starts the API on the local machine.
+ * @memberof module:Server
+ * @param {string[]} sources - Files to serve, as `path` or `name=path`.
+ * @param {Object} [options] - Server options.
+ * @param {string} [options.host='127.0.0.1'] - Interface to listen on.
+ * @param {number} [options.port=8080] - Port to listen on; 0 picks a free one.
+ * @param {Object} [options.prices] - Price options, as accepted by {@link module:AirBnBDataHandler}.
+ * @param {string|string[]} [options.entries] - For .zip files, the CSV entry to load.
+ * @param {'keep'|'drop'|'fail'} [options.onInvalid] - Invalid row policy, as accepted by `loadData`.
+ * @param {boolean|{dir: string}} [options.cache] - Parsed dataset cache, as accepted by `loadData`.
+ * @returns {Promise<{server: http.Server, datasets: Map<string, Object>, url: string}>} - The listening server.
+ */
+export const startServer = async (sources, { host = '127.0.0.1', port = 8080, prices = {}, entries, onInvalid, cache } = {}) => {
+  const datasets = await loadDatasets(sources, { prices, entries, onInvalid, cache });
+  const server = createApiServer(datasets, { prices });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  const address = server.address();
+  return { server, datasets, url: `http://${host.includes(':') ? `[${host}]` : host}:${address.port}` };
+};
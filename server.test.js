@@ -0,0 +1,133 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { loadDatasets, parseDatasetSource, startServer } from './server.js';
+
+const LISTINGS = [
+  'id,name,host_id,host_name,price,room_type,bedrooms',
+  '1,Loft,10,Ann,$100.00,Entire home/apt,1',
+  '2,Room,10,Ann,$60.00,Private room,1',
+  '3,Flat,20,Bob,$250.00,Entire home/apt,2',
+].join('\n');
+
+describe('parseDatasetSource', () => {
+  it('names datasets after the file or the name= prefix', () => {
+    assert.deepEqual(parseDatasetSource('data/berlin.csv.gz'), { name: 'berlin', filePath: 'data/berlin.csv.gz' });
+    assert.deepEqual(parseDatasetSource('old=data/berlin.csv'), { name: 'old', filePath: 'data/berlin.csv' });
+  });
+});
+
+describe('server', () => {
+  let dir;
+  let server;
+  let url;
+
+  /**
+   * Sends a request to the test server.
+   * @param {string} pathname - Path and query string.
+   * @param {Object} [options] - Request options, e.g. `method`.
+   * @returns {Promise<{status: number, headers: Object, body: Buffer}>} - The response.
+   */
+  const request = (pathname, options = {}) =>
+    new Promise((resolve, reject) => {
+      http.request(`${url}${pathname}`, options, (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+      }).on('error', reject).end();
+    });
+
+  const getJson = async (pathname, options) => {
+    const { status, body } = await request(pathname, options);
+    return { status, json: JSON.parse(body.toString()) };
+  };
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'airbnb-server-'));
+    await fs.writeFile(path.join(dir, 'berlin.csv'), LISTINGS);
+    await fs.writeFile(path.join(dir, 'paris.csv'), LISTINGS.split('\n').slice(0, 2).join('\n'));
+    ({ server, url } = await startServer([path.join(dir, 'berlin.csv'), path.join(dir, 'paris.csv')], { port: 0 }));
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('reports the loaded datasets', async () => {
+    const { status, json } = await getJson('/health');
+    assert.equal(status, 200);
+    assert.deepEqual(json.datasets.map((dataset) => [dataset.name, dataset.listings]), [['berlin', 3], ['paris', 1]]);
+  });
+
+  it('filters, sorts and paginates listings', async () => {
+    const { status, json } = await getJson('/listings?price.min=80&sort=price&order=desc&pageSize=1&columns=id,price');
+    assert.equal(status, 200);
+    assert.deepEqual([json.total, json.pages, json.dataset], [2, 2, 'berlin']);
+    assert.deepEqual(json.listings, [{ id: '3', price: '$250.00' }]);
+    assert.deepEqual(json.criteria, { price: { min: 80 } });
+  });
+
+  it('serves the dataset named by the dataset parameter', async () => {
+    const { json } = await getJson('/statistics?dataset=paris');
+    assert.equal(json.dataset, 'paris');
+    assert.equal(json.totalListings, 1);
+  });
+
+  it('ranks hosts', async () => {
+    const { json } = await getJson('/hosts?rankBy=listingsCount&top=1');
+    assert.deepEqual(json.hosts.map((host) => host.hostName), ['Ann']);
+  });
+
+  it('downloads gzipped exports', async () => {
+    const { status, headers, body } = await request('/export?format=csv&gzip=true&columns=id');
+    assert.equal(status, 200);
+    assert.equal(headers['content-disposition'], 'attachment; filename="berlin.csv.gz"');
+    const lines = zlib.gunzipSync(body).toString().trim().split('\r\n').filter((line) => !line.startsWith('#'));
+    assert.deepEqual(lines, ['id', '1', '2', '3']);
+  });
+
+  it('answers 400 to invalid parameters and criteria', async () => {
+    const cases = [
+      ['/listings?pageSize=5000', /"pageSize" must be at most 1000/],
+      ['/listings?page=0', /"page" expects a positive integer/],
+      ['/listings?sort=colour', /"sort" expects one of/],
+      ['/listings?price.min=cheap', /expected a number/],
+      ['/listings?colour=red', /Unknown query parameter "colour"/],
+      ['/statistics?groupBy=a,b,c', /at most two columns/],
+      ['/hosts?rankBy=charm', /Unknown host ranking metric "charm"/],
+      ['/export?format=xml', /"format" expects one of/],
+    ];
+    for (const [pathname, message] of cases) {
+      const { status, json } = await getJson(pathname);
+      assert.equal(status, 400, pathname);
+      assert.equal(json.error.status, 400);
+      assert.match(json.error.message, message);
+    }
+  });
+
+  it('answers 404 to unknown endpoints and datasets', async () => {
+    const endpoint = await getJson('/rooms');
+    assert.equal(endpoint.status, 404);
+    assert.match(endpoint.json.error.message, /Unknown endpoint \/rooms\. Available: \/health, \/listings/);
+    const dataset = await getJson('/listings?dataset=rome');
+    assert.equal(dataset.status, 404);
+    assert.match(dataset.json.error.message, /Unknown dataset "rome"\. Available: berlin, paris/);
+  });
+
+  it('answers 405 to other methods than GET', async () => {
+    const { status } = await getJson('/listings', { method: 'POST' });
+    assert.equal(status, 405);
+  });
+
+  it('refuses to load two files under the same name', async () => {
+    await assert.rejects(
+      loadDatasets([path.join(dir, 'berlin.csv'), `berlin=${path.join(dir, 'paris.csv')}`]),
+      /Two files are served as "berlin"/
+    );
+  });
+});
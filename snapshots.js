@@ -0,0 +1,272 @@
+/**
+ * @module Snapshots
+ */
+
+import AirBnBDataHandler from './AirBnBDataHandler.js';
+import { FIELDS, createListingFilter } from './filters.js';
+import { flattenGroups } from './exporters.js';
+
+const toText = (value) => String(value ?? '').trim();
+
+/**
+ * Listing fields compared between two snapshots, and how to read each one.
+ * Getters receive the listing and the price options (locale, currency, reportingCurrency, rates).
+ * @memberof module:Snapshots
+ */
+export const SNAPSHOT_FIELDS = {
+  price: FIELDS.price.get,
+  availability_365: FIELDS.availability_365.get,
+  host_id: (listing) => toText(listing.host_id),
+  host_name: (listing) => toText(listing.host_name),
+};
+
+/**
+ * Statistics compared for every metric.
+ * @memberof module:Snapshots
+ */
+export const COMPARED_STATISTICS = ['count', 'mean', 'median', 'p25', 'p75'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Describes how a value moved between two snapshots.
+ * @memberof module:Snapshots
+ * @param {number|null} before - Value in the earlier snapshot.
+ * @param {number|null} after - Value in the later snapshot.
+ * @returns {{before: (number|null), after: (number|null), change: (number|null), percentChange: (number|null)}}
+ * - `change` is null when either value is missing; `percentChange` also when `before` is 0.
+ */
+export const delta = (before, after) => {
+  const known = Number.isFinite(before) && Number.isFinite(after);
+  return {
+    before: before ?? null,
+    after: after ?? null,
+    change: known ? round(after - before) : null,
+    percentChange: known && before !== 0 ? round(((after - before) / Math.abs(before)) * 100) : null,
+  };
+};
+
+/**
+ * Whether two field values are the same; two unreadable numbers count as equal.
+ * @param {*} before - The earlier value.
+ * @param {*} after - The later value.
+ * @returns {boolean} - True when the value did not change.
+ */
+const sameValue = (before, after) =>
+  before === after || (typeof before === 'number' && typeof after === 'number' && Number.isNaN(before) && Number.isNaN(after));
+
+const readable = (value) => (typeof value === 'number' && !Number.isFinite(value) ? null : value);
+
+/**
+ * Compares the listings of two snapshots by `id`. Listings are matched across the whole snapshots and
+ * `matches` is applied to each side afterwards, so a listing in both snapshots that meets the criteria
+ * on one side only (e.g. its price crossed the filter threshold) is changed, not added or removed.
+ * @memberof module:Snapshots
+ * @param {Object[]} before - Listings of the earlier snapshot.
+ * @param {Object[]} after - Listings of the later snapshot.
+ * @param {Object} [options] - Comparison options.
+ * @param {string[]} [options.fields] - Fields to compare, keys of {@link module:Snapshots.SNAPSHOT_FIELDS}; all by default.
+ * @param {Object} [options.priceOptions={}] - Options passed to {@link module:Utils.parsePrice}.
+ * @param {function(Object): boolean} [options.matches] - The criteria, e.g. from {@link module:Filters.createListingFilter};
+ * listings matching on neither side are left out. Every listing matches by default.
+ * @returns {{added: Object[], removed: Object[], changed: Object[]}} - Added and removed listings as
+ * `{ id, name, fields }`, and changed ones as `{ id, name, match, changes: { field: { before, after, ... } } }`,
+ * numeric changes carrying the `change` and `percentChange` of {@link module:Snapshots.delta}. `match`
+ * says on which side the listing meets the criteria: `both`, `before` or `after`.
+ */
+export const diffListings = (before, after, { fields = Object.keys(SNAPSHOT_FIELDS), priceOptions = {}, matches = () => true } = {}) => {
+  const unknown = fields.find((field) => !Object.hasOwn(SNAPSHOT_FIELDS, field));
+  if (unknown) {
+    throw new Error(`Unknown snapshot field "${unknown}". Use one of: ${Object.keys(SNAPSHOT_FIELDS).join(', ')}.`);
+  }
+  const read = (listing) => Object.fromEntries(fields.map((field) => [field, SNAPSHOT_FIELDS[field](listing, priceOptions)]));
+  const summary = (listing) => ({
+    id: listing.id,
+    name: listing.name ?? null,
+    fields: Object.fromEntries(Object.entries(read(listing)).map(([field, value]) => [field, readable(value)])),
+  });
+  const beforeById = new Map(before.map((listing) => [listing.id, listing]));
+  const afterIds = new Set(after.map((listing) => listing.id));
+
+  const added = [];
+  const changed = [];
+  after.forEach((listing) => {
+    const previous = beforeById.get(listing.id);
+    const [matchedBefore, matchedAfter] = [previous !== undefined && matches(previous), matches(listing)];
+    if (!matchedBefore && !matchedAfter) {
+      return;
+    }
+    if (!previous) {
+      added.push(summary(listing));
+      return;
+    }
+    const [oldValues, newValues] = [read(previous), read(listing)];
+    const changes = Object.fromEntries(
+      fields
+        .filter((field) => !sameValue(oldValues[field], newValues[field]))
+        .map((field) => [
+          field,
+          typeof newValues[field] === 'number'
+            ? delta(readable(oldValues[field]), readable(newValues[field]))
+            : { before: oldValues[field], after: newValues[field] },
+        ])
+    );
+    let match = 'both';
+    if (!matchedBefore) match = 'after';
+    if (!matchedAfter) match = 'before';
+    if (Object.keys(changes).length > 0 || match !== 'both') {
+      changed.push({ id: listing.id, name: listing.name ?? null, match, changes });
+    }
+  });
+  const removed = before.filter((listing) => !afterIds.has(listing.id) && matches(listing)).map(summary);
+
+  return { added, removed, changed };
+};
+
+/**
+ * Compares two statistics results, as returned by `getStatistics()`.
+ * @memberof module:Snapshots
+ * @param {Object} before - Statistics of the earlier snapshot.
+ * @param {Object} after - Statistics of the later snapshot.
+ * @returns {Object} - `totalListings` and, per metric, each of {@link module:Snapshots.COMPARED_STATISTICS}
+ * as a {@link module:Snapshots.delta}; with group-by, the listings and median price of every group.
+ */
+export const diffStatistics = (before, after) => {
+  const metrics = Object.keys({ ...before.metrics, ...after.metrics });
+  const result = {
+    totalListings: delta(before.totalListings, after.totalListings),
+    metrics: Object.fromEntries(metrics.map((metric) => [
+      metric,
+      Object.fromEntries(COMPARED_STATISTICS.map((stat) => [
+        stat,
+        delta(before.metrics?.[metric]?.[stat] ?? null, after.metrics?.[metric]?.[stat] ?? null),
+      ])),
+    ])),
+  };
+  if (before.groups || after.groups) {
+    const groupsOf = (stats) => new Map(flattenGroups(stats).map(({ label, group }) => [label, group]));
+    const [oldGroups, newGroups] = [groupsOf(before), groupsOf(after)];
+    result.groupBy = after.groupBy || before.groupBy;
+    result.groups = Object.fromEntries(
+      [...new Set([...oldGroups.keys(), ...newGroups.keys()])]
+        .sort((a, b) => a.localeCompare(b))
+        .map((label) => [label, {
+          totalListings: delta(oldGroups.get(label)?.totalListings ?? 0, newGroups.get(label)?.totalListings ?? 0),
+          medianPrice: delta(oldGroups.get(label)?.metrics.price.median ?? null, newGroups.get(label)?.metrics.price.median ?? null),
+        }])
+    );
+  }
+  return result;
+};
+
+/**
+ * Compares two host rankings by `hostId` and lists the hosts whose portfolio grew or shrank,
+ * biggest growth first. Hosts only present in one snapshot are `new` or `gone`.
+ * @memberof module:Snapshots
+ * @param {Object[]} before - Ranking of the earlier snapshot, as returned by `getHostRanking()`.
+ * @param {Object[]} after - Ranking of the later snapshot.
+ * @returns {Object[]} - `{ hostId, hostName, status, listingsCount, totalNightlyRevenue }`, the last two
+ * as {@link module:Snapshots.delta}; `status` is one of `grew`, `shrank`, `new` or `gone`.
+ */
+export const diffHostRankings = (before, after) => {
+  const oldHosts = new Map(before.map((host) => [host.hostId, host]));
+  const newHosts = new Map(after.map((host) => [host.hostId, host]));
+  return [...new Set([...oldHosts.keys(), ...newHosts.keys()])]
+    .map((hostId) => {
+      const [previous, current] = [oldHosts.get(hostId), newHosts.get(hostId)];
+      const listingsCount = delta(previous?.listingsCount ?? 0, current?.listingsCount ?? 0);
+      let status = listingsCount.change > 0 ? 'grew' : 'shrank';
+      if (!previous) status = 'new';
+      if (!current) status = 'gone';
+      return {
+        hostId,
+        hostName: (current || previous).hostName,
+        status,
+        listingsCount,
+        totalNightlyRevenue: delta(previous?.totalNightlyRevenue ?? 0, current?.totalNightlyRevenue ?? 0),
+      };
+    })
+    .filter((host) => host.listingsCount.change !== 0)
+    .sort((a, b) => b.listingsCount.change - a.listingsCount.change || String(a.hostName).localeCompare(String(b.hostName)));
+};
+
+/**
+ * Loads two dumps of the same city through {@link module:AirBnBDataHandler}, applies the same criteria,
+ * statistics and host ranking options to both, and compares them: listings added, removed and changed
+ * (price, availability, host), how every statistics metric moved, and hosts whose portfolio grew or shrank.
+ * Files are loaded one after the other, so only one snapshot's rows are parsed at a time; the listings of
+ * both are kept to match them by id before the criteria are applied, see {@link module:Snapshots.diffListings}.
+ * @memberof module:Snapshots
+ * @param {string} beforePath - Earlier dump (.csv, .csv.gz or .zip).
+ * @param {string} afterPath - Later dump.
+ * @param {Object} [options] - Comparison options.
+ * @param {Object} [options.criteria={}] - Filter criteria, as accepted by `filterListings`.
+ * @param {string[]} [options.groupBy] - Statistics group-by columns, as accepted by `computeStatistics`.
+ * @param {Object} [options.hostRanking={}] - Host ranking options, as accepted by `computeHostRanking`;
+ * `topN` limits the reported host changes instead of the rankings being compared.
+ * @param {string[]} [options.fields] - Listing fields to compare, see {@link module:Snapshots.diffListings}.
+ * @param {string|string[]} [options.entries] - For .zip files, the CSV entry to load, as accepted by `loadData`.
+ * @param {'keep'|'drop'|'fail'} [options.onInvalid] - Invalid row policy, as accepted by `loadData`.
+ * @param {boolean|{dir: string}} [options.cache] - Parsed dataset cache, as accepted by `loadData`.
+ * @param {Object} [options.prices] - Price options, as accepted by {@link module:AirBnBDataHandler}.
+ * @returns {Promise<Object>} - `{ metadata, summary, quality, listings, statistics, hosts }`.
+ */
+export const compareSnapshots = async (beforePath, afterPath, {
+  criteria = {},
+  groupBy,
+  hostRanking = {},
+  fields,
+  entries,
+  onInvalid,
+  cache,
+  prices = {},
+} = {}) => {
+  const { topN, ...rankingOptions } = hostRanking;
+  const load = async (filePath) => {
+    const handler = await AirBnBDataHandler(filePath, prices).loadData({ entries, onInvalid, cache });
+    handler
+      .filterListings(criteria)
+      .computeStatistics({ groupBy })
+      .computeHostRanking(rankingOptions);
+    return {
+      allListings: handler.getData(),
+      listings: handler.getFilteredData(),
+      statistics: handler.getStatistics(),
+      hostRanking: handler.getHostRanking(),
+      quality: handler.getDataQualityReport(),
+    };
+  };
+
+  const before = await load(beforePath);
+  const after = await load(afterPath);
+  const listings = diffListings(before.allListings, after.allListings, {
+    fields,
+    priceOptions: prices,
+    matches: createListingFilter(criteria, prices),
+  });
+  const hosts = diffHostRankings(before.hostRanking, after.hostRanking);
+  const reportedHosts = topN === undefined ? hosts : hosts.slice(0, topN);
+
+  return {
+    metadata: {
+      beforeFile: beforePath,
+      afterFile: afterPath,
+      criteria,
+      generatedAt: new Date().toISOString(),
+      currency: before.statistics.currency === after.statistics.currency ? after.statistics.currency : 'mixed',
+    },
+    summary: {
+      listingsBefore: before.listings.length,
+      listingsAfter: after.listings.length,
+      added: listings.added.length,
+      removed: listings.removed.length,
+      changed: listings.changed.length,
+      hostsGrew: hosts.filter((host) => host.listingsCount.change > 0).length,
+      hostsShrank: hosts.filter((host) => host.listingsCount.change < 0).length,
+    },
+    quality: { before: before.quality, after: after.quality },
+    listings,
+    statistics: diffStatistics(before.statistics, after.statistics),
+    hosts: reportedHosts,
+  };
+};
@@ -0,0 +1,116 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { compareSnapshots, delta, diffHostRankings, diffListings } from './snapshots.js';
+
+const HEADER = 'id,name,host_id,host_name,price,room_type,bedrooms,availability_365';
+
+const BEFORE = [
+  HEADER,
+  '1,Loft,10,Ann,$100.00,Entire home/apt,1,200',
+  '2,Room,10,Ann,$60.00,Private room,1,100',
+  '3,Flat,20,Bob,$250.00,Entire home/apt,2,50',
+].join('\n');
+
+const AFTER = [
+  HEADER,
+  '1,Loft,10,Ann,$120.00,Entire home/apt,1,200',
+  '3,Flat,20,Bob,$150.00,Entire home/apt,2,50',
+  '4,Studio,10,Ann,$90.00,Entire home/apt,1,300',
+].join('\n');
+
+const listing = (id, price, fields = {}) => ({ id, name: `Listing ${id}`, price: `$${price}.00`, host_id: '1', host_name: 'Ann', ...fields });
+
+describe('delta', () => {
+  it('describes the change and leaves it null when a value is missing', () => {
+    assert.deepEqual(delta(80, 100), { before: 80, after: 100, change: 20, percentChange: 25 });
+    assert.deepEqual(delta(0, 5), { before: 0, after: 5, change: 5, percentChange: null });
+    assert.deepEqual(delta(null, 5), { before: null, after: 5, change: null, percentChange: null });
+  });
+});
+
+describe('diffListings', () => {
+  it('lists added, removed and changed listings by id', () => {
+    const { added, removed, changed } = diffListings(
+      [listing('1', 100), listing('2', 50)],
+      [listing('1', 100, { host_name: 'Annie' }), listing('3', 70)],
+      { fields: ['price', 'host_name'] }
+    );
+    assert.deepEqual(added, [{ id: '3', name: 'Listing 3', fields: { price: 70, host_name: 'Ann' } }]);
+    assert.deepEqual(removed.map((entry) => entry.id), ['2']);
+    assert.deepEqual(changed, [{ id: '1', name: 'Listing 1', match: 'both', changes: { host_name: { before: 'Ann', after: 'Annie' } } }]);
+  });
+
+  it('reports a listing whose price crossed the criteria as changed', () => {
+    const matches = (entry) => Number(entry.price.slice(1)) <= 100;
+    const { added, removed, changed } = diffListings(
+      [listing('1', 90), listing('2', 150), listing('3', 500)],
+      [listing('1', 120), listing('2', 80), listing('3', 400)],
+      { fields: ['price'], matches }
+    );
+    assert.deepEqual([added, removed], [[], []]);
+    assert.deepEqual(changed.map((entry) => [entry.id, entry.match, entry.changes.price.change]), [['1', 'before', 30], ['2', 'after', -70]]);
+  });
+
+  it('reports a listing matching on one side only even without field changes', () => {
+    const matches = (entry) => entry.room_type === 'Private room';
+    const { changed } = diffListings(
+      [listing('1', 90, { room_type: 'Private room' })],
+      [listing('1', 90, { room_type: 'Entire home/apt' })],
+      { fields: ['price'], matches }
+    );
+    assert.deepEqual(changed, [{ id: '1', name: 'Listing 1', match: 'before', changes: {} }]);
+  });
+
+  it('rejects unknown and inherited fields', () => {
+    assert.throws(() => diffListings([], [], { fields: ['colour'] }), /Unknown snapshot field "colour"/);
+    assert.throws(() => diffListings([], [], { fields: ['toString'] }), /Unknown snapshot field "toString"/);
+  });
+});
+
+describe('diffHostRankings', () => {
+  it('lists hosts whose portfolio grew or shrank, biggest growth first', () => {
+    const host = (hostId, hostName, listingsCount) => ({ hostId, hostName, listingsCount, totalNightlyRevenue: listingsCount * 100 });
+    const hosts = diffHostRankings(
+      [host('1', 'Ann', 2), host('2', 'Bob', 1), host('3', 'Cy', 4)],
+      [host('1', 'Ann', 2), host('3', 'Cy', 5), host('4', 'Di', 2)]
+    );
+    assert.deepEqual(hosts.map((entry) => [entry.hostName, entry.status, entry.listingsCount.change]), [
+      ['Di', 'new', 2],
+      ['Cy', 'grew', 1],
+      ['Bob', 'gone', -1],
+    ]);
+  });
+});
+
+describe('compareSnapshots', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'airbnb-snapshots-'));
+    await fs.writeFile(path.join(dir, 'before.csv'), BEFORE);
+    await fs.writeFile(path.join(dir, 'after.csv'), AFTER);
+  });
+
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('compares two dumps under the same criteria', async () => {
+    const result = await compareSnapshots(path.join(dir, 'before.csv'), path.join(dir, 'after.csv'), {
+      criteria: { price: { max: 200 } },
+    });
+    assert.deepEqual(result.summary, {
+      listingsBefore: 2,
+      listingsAfter: 3,
+      added: 1,
+      removed: 1,
+      changed: 2,
+      hostsGrew: 1,
+      hostsShrank: 0,
+    });
+    assert.deepEqual(result.listings.changed.map((entry) => [entry.id, entry.match]), [['1', 'both'], ['3', 'after']]);
+    assert.deepEqual(result.statistics.totalListings, { before: 2, after: 3, change: 1, percentChange: 50 });
+    assert.equal(result.metadata.currency, 'USD');
+  });
+});
@@ -2,24 +2,227 @@
  * @module Utils
  */
 
+import path from 'path';
+
+/**
+ * Currency symbols and the ISO 4217 code they stand for, longest first so `US$` wins over `$`.
+ * A bare `$` is read as USD; Inside Airbnb writes `$` for every city, so pass `currency` for non-US dumps.
+ * @memberof module:Utils
+ */
+export const CURRENCY_SYMBOLS = [
+  ['US$', 'USD'],
+  ['CA$', 'CAD'],
+  ['AU$', 'AUD'],
+  ['NZ$', 'NZD'],
+  ['HK$', 'HKD'],
+  ['MX$', 'MXN'],
+  ['R$', 'BRL'],
+  ['A$', 'AUD'],
+  ['C$', 'CAD'],
+  ['S$', 'SGD'],
+  ['zł', 'PLN'],
+  ['Kč', 'CZK'],
+  ['€', 'EUR'],
+  ['£', 'GBP'],
+  ['¥', 'JPY'],
+  ['₹', 'INR'],
+  ['₩', 'KRW'],
+  ['₺', 'TRY'],
+  ['₽', 'RUB'],
+  ['₪', 'ILS'],
+  ['฿', 'THB'],
+  ['$', 'USD'],
+];
+
+const ISO_CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+/**
+ * Base currency of exchange rate tables: it counts as 1 unless the table lists it.
+ * Prices without a currency symbol or code are read in this currency when converting.
+ * @memberof module:Utils
+ */
+export const RATES_BASE = 'USD';
+
+const separatorsByLocale = new Map();
+
+/**
+ * Thousands and decimal separators used by a locale, e.g. `.` and `,` for `de-DE`.
+ * Computed once per locale, since prices are parsed many times per listing.
+ * @param {string} locale - A BCP 47 locale tag.
+ * @returns {{group: string, decimal: string}} - The separators.
+ */
+const separatorsFor = (locale) => {
+  if (!separatorsByLocale.has(locale)) {
+    const parts = new Intl.NumberFormat(locale).formatToParts(12345.6);
+    separatorsByLocale.set(locale, {
+      group: parts.find((part) => part.type === 'group')?.value ?? ',',
+      decimal: parts.find((part) => part.type === 'decimal')?.value ?? '.',
+    });
+  }
+  return separatorsByLocale.get(locale);
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Extracts the first number from a string, honouring thousands and decimal separators.
+ *
+ * With a `locale`, its separators are used (`1.234,50` is 1234.5 in `de-DE`). Without one they are
+ * guessed: when both `.` and `,` appear the last one is the decimal separator, and a repeated
+ * separator groups thousands. A single separator is ambiguous: a `.` is always read as a decimal point,
+ * like plain numbers (`1.250` is 1.25, `$0.500` is 0.5), and a `,` groups thousands only when followed
+ * by exactly three digits after a non-zero integer part of at most three digits (`1,250` is 1250,
+ * `0,500` is 0.5). Pass the locale for files that group thousands with a dot (`1.250 €`).
+ * @memberof module:Utils
+ * @param {string} str - The string to be parsed, e.g. `"1.234,50 €"` or `"1.5 shared baths"`.
+ * @param {Object} [options] - Parsing options.
+ * @param {string} [options.locale] - Locale whose separators to use.
+ * @returns {number} - The number, or NaN when the string contains none.
+ */
+export const parseLocaleNumber = (str, { locale } = {}) => {
+  const match = String(str ?? '').match(/(-\s*)?\d[\d.,'’\s\u00a0\u202f]*/);
+  if (!match) return NaN;
+  const sign = match[1] || /-\s*\D{0,3}$/.test(String(str).slice(0, match.index)) ? -1 : 1;
+  let token = match[0].replace(/^-\s*/, '').replace(/[.,'’\s\u00a0\u202f]+$/, '');
+
+  if (locale) {
+    const { group, decimal } = separatorsFor(locale);
+    const groupPattern = /\s/.test(group) ? '[\\s\\u00a0\\u202f]' : escapeRegExp(group);
+    token = token
+      .replace(new RegExp(groupPattern, 'g'), '')
+      .replace(/[\s\u00a0\u202f'’]/g, '')
+      .replace(decimal, '.');
+    return sign * parseFloat(token);
+  }
+
+  token = token.replace(/[\s\u00a0\u202f'’]/g, '');
+  const lastDot = token.lastIndexOf('.');
+  const lastComma = token.lastIndexOf(',');
+  let decimal = null;
+  if (lastDot !== -1 && lastComma !== -1) {
+    decimal = lastDot > lastComma ? '.' : ',';
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const separator = lastDot !== -1 ? '.' : ',';
+    const [integer, ...groups] = token.split(separator);
+    const thousands = groups.length > 1 ||
+      (separator === ',' && groups[0].length === 3 && integer.length <= 3 && !/^0+$/.test(integer));
+    decimal = thousands ? null : separator;
+  }
+  const normalized = decimal
+    ? token.replace(new RegExp(escapeRegExp(decimal === '.' ? ',' : '.'), 'g'), '').replace(decimal, '.')
+    : token.replace(/[.,]/g, '');
+  return sign * parseFloat(normalized);
+};
+
+/**
+ * Parses an amount of money and detects its currency from a symbol (`€`, `R$`, ...) or ISO code (`EUR`).
+ * @memberof module:Utils
+ * @param {string} str - The string to be parsed, e.g. `"$1,200.00"` or `"1.234,50 €"`.
+ * @param {Object} [options] - Parsing options.
+ * @param {string} [options.locale] - Locale whose separators to use, see {@link module:Utils.parseLocaleNumber}.
+ * @param {string} [options.currency] - Currency of every amount, overriding the detected one.
+ * @param {string} [options.defaultCurrency] - Currency used when none is detected.
+ * @returns {{amount: number, currency: (string|null)}} - The amount (NaN when missing) and currency code.
+ */
+export const parseCurrency = (str, { locale, currency, defaultCurrency } = {}) => {
+  const text = String(str ?? '').trim();
+  const code = (text.match(/\b[A-Z]{3}\b/g) || []).find((candidate) => ISO_CURRENCIES.has(candidate));
+  const symbol = CURRENCY_SYMBOLS.find(([candidate]) => text.includes(candidate));
+  return {
+    amount: parseLocaleNumber(text, { locale }),
+    currency: currency || code || (symbol && symbol[1]) || defaultCurrency || null,
+  };
+};
+
+/**
+ * Value of one unit of a currency in the base of a rates table.
+ * @memberof module:Utils
+ * @param {string} code - The currency code.
+ * @param {Object<string, number>} [rates={}] - The rates table, see {@link module:Utils.convertCurrency}.
+ * @returns {number|undefined} - The rate; {@link module:Utils.RATES_BASE} is 1 unless listed.
+ */
+export const exchangeRate = (code, rates = {}) =>
+  (Object.hasOwn(rates, code) ? rates[code] : code === RATES_BASE ? 1 : undefined);
+
+/**
+ * Converts an amount between currencies with a user-supplied rates table. Rates give the value of
+ * one unit of each currency in USD, e.g. `{ EUR: 1.08, GBP: 1.27 }`; USD itself counts as 1.
+ * A table in another base must also list USD, e.g. `{ EUR: 1, USD: 0.93 }`.
+ * @memberof module:Utils
+ * @param {number} amount - The amount to convert.
+ * @param {string|null} from - Currency of the amount.
+ * @param {string} to - Target currency.
+ * @param {Object<string, number>} [rates={}] - The rates table.
+ * @returns {number} - The converted amount.
+ */
+export const convertCurrency = (amount, from, to, rates = {}) => {
+  if (!to || from === to) return amount;
+  if (!from) {
+    throw new Error(`Cannot convert ${amount} to ${to}: its currency is unknown. Set the source currency explicitly.`);
+  }
+  const [fromRate, toRate] = [exchangeRate(from, rates), exchangeRate(to, rates)];
+  if (!Number.isFinite(fromRate) || !Number.isFinite(toRate)) {
+    throw new Error(`No exchange rate to convert ${from} to ${to}.`);
+  }
+  return (amount * fromRate) / toRate;
+};
+
 /**
  * Parses a price string and converts it to a float.
+ * Separators follow `options.locale` (or are guessed), and the amount is converted to
+ * `options.reportingCurrency` when one is given; an amount without a currency is then read in
+ * {@link module:Utils.RATES_BASE}.
  * @memberof module:Utils
  * @param {string} priceStr - The price string to be parsed.
- * @returns {number} - The parsed price as a float.
+ * @param {Object} [options] - Options of {@link module:Utils.parseCurrency}, plus:
+ * @param {string} [options.reportingCurrency] - Currency to convert the price to.
+ * @param {Object<string, number>} [options.rates] - Rates table, see {@link module:Utils.convertCurrency}.
+ * @returns {number} - The parsed price as a float, or 0 when the string holds no number.
  */
-export const parsePrice = (priceStr) => {
-  return parseFloat(priceStr.replace(/[^0-9.-]+/g, '')) || 0;
+export const parsePrice = (priceStr, options = {}) => {
+  const { amount, currency } = parseCurrency(priceStr, options);
+  if (!Number.isFinite(amount)) return 0;
+  return options.reportingCurrency
+    ? convertCurrency(amount, currency || RATES_BASE, options.reportingCurrency, options.rates)
+    : amount;
 };
 
 /**
  * Parses a number from a string, returning a default value if NaN.
+ * Decimals are kept, and numbers inside text are extracted (`"1.5 shared baths"` gives 1.5,
+ * `"Half-bath"` gives 0.5). Separators are read as by {@link module:Utils.parseLocaleNumber}.
  * @memberof module:Utils
  * @param {string} str - The string to be parsed as a number.
  * @param {number} [defaultValue=0] - The default value to return if parsing fails.
+ * @param {Object} [options] - Parsing options.
+ * @param {string} [options.locale] - Locale whose separators to use.
  * @returns {number} - The parsed number or the default value.
  */
-export const parseNumber = (str, defaultValue = 0) => {
-  const num = parseInt(str, 10);
+export const parseNumber = (str, defaultValue = 0, options = {}) => {
+  const text = String(str ?? '').trim();
+  if (!options.locale && /^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+  if (!/\d/.test(text)) return /\bhalf\b/i.test(text) ? 0.5 : defaultValue;
+  const num = parseLocaleNumber(text, options);
   return isNaN(num) ? defaultValue : num;
-};
\ No newline at end of file
+};
+
+/**
+ * Parses Inside Airbnb boolean columns (`t`/`f`), also accepting true/false, yes/no and 1/0.
+ * @memberof module:Utils
+ * @param {string} str - The string to be parsed as a boolean.
+ * @returns {boolean|undefined} - The boolean, or undefined when the value is blank or unknown.
+ */
+export const parseBoolean = (str) => {
+  const normalized = String(str ?? '').trim().toLowerCase();
+  if (['t', 'true', '1', 'yes'].includes(normalized)) return true;
+  if (['f', 'false', '0', 'no'].includes(normalized)) return false;
+  return undefined;
+};
+
+/**
+ * File name of a dataset without its `.csv`, `.gz` and `.zip` extensions, e.g. `berlin` for `data/berlin.csv.gz`.
+ * @memberof module:Utils
+ * @param {string} filePath - The dataset file.
+ * @returns {string} - The bare name.
+ */
+export const datasetName = (filePath) => path.basename(filePath).replace(/(\.csv)?(\.gz|\.zip)?$/i, '');
@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test';
+import assert from 'assert/strict';
+import { convertCurrency, datasetName, exchangeRate, parseBoolean, parseCurrency, parseLocaleNumber, parseNumber, parsePrice } from './utils.js';
+
+describe('parseLocaleNumber', () => {
+  it('reads the last of two different separators as the decimal one', () => {
+    assert.equal(parseLocaleNumber('$1,234.50'), 1234.5);
+    assert.equal(parseLocaleNumber('1.234,50 €'), 1234.5);
+  });
+
+  it('reads a repeated separator as thousands grouping', () => {
+    assert.equal(parseLocaleNumber('1,234,567'), 1234567);
+    assert.equal(parseLocaleNumber('1.234.567'), 1234567);
+  });
+
+  it('reads a single dot as a decimal point', () => {
+    assert.equal(parseLocaleNumber('1.250'), 1.25);
+    assert.equal(parseLocaleNumber('$0.500'), 0.5);
+  });
+
+  it('groups with a single comma only before three digits and a short, non-zero integer part', () => {
+    assert.equal(parseLocaleNumber('1,250'), 1250);
+    assert.equal(parseLocaleNumber('0,500'), 0.5);
+    assert.equal(parseLocaleNumber('1234,567'), 1234.567);
+    assert.equal(parseLocaleNumber('12,5'), 12.5);
+  });
+
+  it('uses the separators of a locale', () => {
+    assert.equal(parseLocaleNumber('1.250 €', { locale: 'de-DE' }), 1250);
+    assert.equal(parseLocaleNumber('1 234,5', { locale: 'fr-FR' }), 1234.5);
+  });
+
+  it('reads signs and returns NaN without digits', () => {
+    assert.equal(parseLocaleNumber('-$40'), -40);
+    assert.ok(Number.isNaN(parseLocaleNumber('free')));
+  });
+});
+
+describe('parseCurrency', () => {
+  it('detects currency symbols and ISO codes', () => {
+    assert.deepEqual(parseCurrency('R$ 1.234,50'), { amount: 1234.5, currency: 'BRL' });
+    assert.deepEqual(parseCurrency('100 EUR'), { amount: 100, currency: 'EUR' });
+    assert.deepEqual(parseCurrency('100'), { amount: 100, currency: null });
+  });
+
+  it('lets an explicit currency win over the detected one', () => {
+    assert.equal(parseCurrency('$100', { currency: 'CAD' }).currency, 'CAD');
+    assert.equal(parseCurrency('100', { defaultCurrency: 'GBP' }).currency, 'GBP');
+  });
+});
+
+describe('convertCurrency', () => {
+  const rates = { EUR: 1.5, GBP: 1.25 };
+
+  it('converts through the rates table', () => {
+    assert.equal(convertCurrency(100, 'EUR', 'USD', rates), 150);
+    assert.equal(convertCurrency(125, 'GBP', 'EUR', { EUR: 1.25, GBP: 1.25 }), 125);
+    assert.equal(convertCurrency(100, 'EUR', 'EUR'), 100);
+  });
+
+  it('rejects unknown currencies and rates', () => {
+    assert.throws(() => convertCurrency(100, null, 'EUR', rates), /its currency is unknown/);
+    assert.throws(() => convertCurrency(100, 'JPY', 'EUR', rates), /No exchange rate to convert JPY to EUR/);
+  });
+
+  it('reads the base currency as 1 unless listed and ignores inherited names', () => {
+    assert.equal(exchangeRate('USD'), 1);
+    assert.equal(exchangeRate('USD', { USD: 0.9 }), 0.9);
+    assert.equal(exchangeRate('constructor', rates), undefined);
+  });
+});
+
+describe('parsePrice', () => {
+  it('parses price strings and returns 0 without a number', () => {
+    assert.equal(parsePrice('$1,200.00'), 1200);
+    assert.equal(parsePrice(''), 0);
+    assert.equal(parsePrice(undefined), 0);
+  });
+
+  it('converts to the reporting currency, reading bare amounts in USD', () => {
+    const options = { reportingCurrency: 'EUR', rates: { EUR: 2 } };
+    assert.equal(parsePrice('€50', options), 50);
+    assert.equal(parsePrice('$50', options), 25);
+    assert.equal(parsePrice('50', options), 25);
+  });
+});
+
+describe('parseNumber', () => {
+  it('keeps decimals and extracts numbers from text', () => {
+    assert.equal(parseNumber('2'), 2);
+    assert.equal(parseNumber('1.5 shared baths'), 1.5);
+    assert.equal(parseNumber('Half-bath'), 0.5);
+  });
+
+  it('returns the default value when there is no number', () => {
+    assert.equal(parseNumber(''), 0);
+    assert.equal(parseNumber('n/a', null), null);
+  });
+
+  it('reads plain numbers with the locale when one is given', () => {
+    assert.equal(parseNumber('1.250'), 1.25);
+    assert.equal(parseNumber('1.250', 0, { locale: 'de-DE' }), 1250);
+  });
+});
+
+describe('parseBoolean', () => {
+  it('reads Inside Airbnb flags and common spellings', () => {
+    assert.deepEqual(['t', 'TRUE', 'yes', '1'].map(parseBoolean), [true, true, true, true]);
+    assert.deepEqual(['f', 'False', 'no', '0'].map(parseBoolean), [false, false, false, false]);
+    assert.deepEqual(['', 'maybe', null].map(parseBoolean), [undefined, undefined, undefined]);
+  });
+});
+
+describe('datasetName', () => {
+  it('strips the dataset extensions', () => {
+    assert.equal(datasetName('data/berlin.csv.gz'), 'berlin');
+    assert.equal(datasetName('paris.zip'), 'paris');
+    assert.equal(datasetName('rome.CSV'), 'rome');
+    assert.equal(datasetName('notes.txt'), 'notes.txt');
+  });
+});